@@ -0,0 +1,43 @@
+// Vercel serverless function (Node 18+)
+// Rewrites only apply when no file matches, so vercel.json sends every post path without a page here:
+// renamed posts answer 308 to their current path (dist/redirects.json), archived posts 410 Gone
+// with their retired page from dist/gone, anything else 404
+const fs = require('fs');
+const path = require('path');
+
+const DIST_DIR = path.join(__dirname, '..', 'dist');
+const GONE_DIR = path.join(DIST_DIR, 'gone');
+
+function readPage(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+function readRedirects() {
+  const redirects = readPage(path.join(DIST_DIR, 'redirects.json'));
+  return redirects ? JSON.parse(redirects) : {};
+}
+
+module.exports = (req, res) => {
+  const requested = (req.query.path || '').toString();
+
+  const redirects = readRedirects();
+  const destination = Object.prototype.hasOwnProperty.call(redirects, requested) ? redirects[requested] : null;
+  if (destination) {
+    res.setHeader('Location', destination);
+    return res.status(308).send(`Moved to ${destination}`);
+  }
+
+  const pagePath = path.join(GONE_DIR, `${path.posix.normalize(requested)}.html`);
+  const retiredPage = requested.startsWith('/') && pagePath.startsWith(`${GONE_DIR}${path.sep}`)
+    ? readPage(pagePath)
+    : null;
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+
+  if (retiredPage) {
+    res.setHeader('X-Robots-Tag', 'noindex');
+    return res.status(410).send(retiredPage);
+  }
+
+  return res.status(404).send(readPage(path.join(DIST_DIR, '404.html')) || 'Not Found');
+};
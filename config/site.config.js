@@ -11,7 +11,8 @@ module.exports = {
     description: 'Personal blog of Sanket Bhat - thoughts on engineering, technology, and life',
     url: process.env.SITE_URL || 'https://diaryofsankey.com',
     language: 'en',
-    timezone: 'Asia/Kolkata'
+    // Publish dates without a time zone, scheduling and displayed dates use this zone
+    timezone: process.env.SITE_TIMEZONE || 'Asia/Kolkata'
   },
 
   // Author information
@@ -31,7 +32,46 @@ module.exports = {
   notion: {
     apiKey: process.env.NOTION_API_KEY,
     databaseId: process.env.NOTION_DATABASE_ID,
-    version: '2022-06-28' // Notion API version
+    version: '2022-06-28', // Notion API version
+    // Notion allows an average of 3 requests per second, with short bursts
+    rateLimit: {
+      requestsPerSecond: 3,
+      burst: 5
+    },
+    // Notion property holding each post field. Rename to match an existing database;
+    // `type` is the property's Notion type (e.g. use 'status' for a native Status property)
+    properties: {
+      title: { name: 'Title', type: 'title' },
+      status: { name: 'Status', type: 'select' },
+      category: { name: 'Category', type: 'select' },
+      publishDate: { name: 'Publish Date', type: 'date' },
+      tags: { name: 'Tags', type: 'multi_select' },
+      slug: { name: 'Slug', type: 'rich_text' },
+      excerpt: { name: 'Excerpt', type: 'rich_text' },
+      featuredImage: { name: 'Featured Image', type: 'files' },
+      featured: { name: 'Featured', type: 'checkbox' },
+      replacedBy: { name: 'Replaced By', type: 'relation' },
+      // Public or Unlisted (reachable by URL, but left out of listings, feeds and search)
+      visibility: { name: 'Visibility', type: 'select' },
+      // Passphrase for a post whose page is encrypted at build time and kept out of feeds and search
+      password: { name: 'Password', type: 'rich_text' },
+      // Filled in by the sync when writeBack is on
+      readingTime: { name: 'Reading Time', type: 'number' },
+      wordCount: { name: 'Word Count', type: 'number' },
+      lastSynced: { name: 'Last Synced', type: 'date' },
+      liveUrl: { name: 'Live URL', type: 'url' }
+    },
+    // Write reading time, word count, last synced and live URL back to each page
+    writeBack: process.env.NOTION_WRITE_BACK === 'true',
+    // Scheduled posts go live once their date passes; also set their status to Published in Notion
+    promoteScheduled: process.env.NOTION_PROMOTE_SCHEDULED === 'true',
+    // Status option (select or status) used for each publishing state
+    statuses: {
+      published: 'Published',
+      scheduled: 'Scheduled',
+      draft: 'Draft',
+      archived: 'Archived'
+    }
   },
 
   // Build configuration
@@ -51,7 +91,10 @@ module.exports = {
     enableComments: process.env.ENABLE_COMMENTS === 'true',
     enableSearch: process.env.ENABLE_SEARCH !== 'false',
     enableRss: process.env.ENABLE_RSS !== 'false',
-    enableSitemap: process.env.ENABLE_SITEMAP !== 'false'
+    enableSitemap: process.env.ENABLE_SITEMAP !== 'false',
+    // Code blocks are highlighted at sync time; themes: 'warm' (light) or 'ember' (dark)
+    codeTheme: process.env.CODE_THEME || 'warm',
+    codeLineNumbers: process.env.CODE_LINE_NUMBERS === 'true'
   },
 
   // Categories configuration
@@ -5,11 +5,13 @@ const path = require('path');
 const handlebars = require('handlebars');
 const { SitemapStream, streamToPromise } = require('sitemap');
 const RSS = require('rss');
-const { parseISO, format } = require('date-fns');
 const logger = require('./utils/logger');
 const config = require('../config/site.config');
 const OGImageGenerator = require('./utils/og-image-generator');
 const { buildSemanticIndex } = require('./utils/semantic-index');
+const { buildLinkGraph, getBacklinks } = require('./utils/link-graph');
+const AssetStore = require('./utils/asset-store');
+const { parseSiteDate, formatSiteDate, hasTime, getSiteTimezone, getNextPublish } = require('./utils/site-time');
 
 /**
  * Build cache for incremental builds
@@ -26,7 +28,7 @@ class BuildCache {
   sortPostsForListing(posts) {
     return posts
       .slice()
-      .sort((a, b) => new Date(b.publishDate || b.lastEditedTime || 0) - new Date(a.publishDate || a.lastEditedTime || 0));
+      .sort((a, b) => parseSiteDate(b.publishDate || b.lastEditedTime || 0) - parseSiteDate(a.publishDate || a.lastEditedTime || 0));
   }
 
   loadCache() {
@@ -111,6 +113,7 @@ class SiteBuilder {
     this.outputDir = path.join(process.cwd(), config.build.outputDir);
     this.templatesDir = path.join(process.cwd(), config.build.templatesDir);
     this.staticDir = path.join(process.cwd(), config.build.staticDir);
+    this.assetStore = new AssetStore(config);
     this.force = options.force || false;
     
     // Ensure output directory exists
@@ -144,7 +147,7 @@ class SiteBuilder {
   sortPostsForListing(posts) {
     return posts
       .slice()
-      .sort((a, b) => new Date(b.publishDate || b.lastEditedTime || 0) - new Date(a.publishDate || a.lastEditedTime || 0));
+      .sort((a, b) => parseSiteDate(b.publishDate || b.lastEditedTime || 0) - parseSiteDate(a.publishDate || a.lastEditedTime || 0));
   }
 
   /**
@@ -182,13 +185,16 @@ class SiteBuilder {
       await this.generateHomePage(content);
       await this.generateBlogPages(content);
       await this.generatePostPages(content);
+      await this.generateRedirects(content);
+      await this.generateArchivedPages(content);
       await this.generateCategoryPages(content);
+      await this.generateTagPages(content);
       await this.generateSearchIndex(content);
       await this.generate404Page(content);
       
       // Generate feeds and sitemaps (only if content changed)
       if (config.content.enableRss) {
-        await this.generateRSSFeedIncremental(content.publishedPosts);
+        await this.generateRSSFeedIncremental(this.getIndexablePosts(content));
       }
       
       if (config.content.enableSitemap) {
@@ -198,7 +204,7 @@ class SiteBuilder {
       // Optional: semantic index for advanced 404 suggestions
       if (process.env.ENABLE_SEMANTIC_404 === 'true') {
         try {
-          await buildSemanticIndex(content.publishedPosts, path.join(this.outputDir, 'js'));
+          await buildSemanticIndex(this.getIndexablePosts(content), path.join(this.outputDir, 'js'));
         } catch (e) {
           logger.warn('Semantic index generation failed', e);
         }
@@ -206,6 +212,9 @@ class SiteBuilder {
       
       // Always (re)generate robots.txt
       await this.generateRobotsTxtIncremental();
+
+      // When the next scheduled post goes live, for deploy schedulers
+      await this.generateNextPublish(content.scheduledPosts);
       
       // Update build cache
       this.buildCache.cache.lastBuild = Date.now();
@@ -255,7 +264,9 @@ class SiteBuilder {
       'home.html', 
       'blog-list.html',
       'blog-post.html',
-      '404.html'
+      'tag-index.html',
+      '404.html',
+      'archived.html'
     ];
 
     let templatesChanged = false;
@@ -293,8 +304,10 @@ class SiteBuilder {
     
     const content = {
       publishedPosts: [],
+      unlistedPosts: [],
       scheduledPosts: [],
       draftPosts: [],
+      archivedPosts: [],
       categories: [],
       tags: []
     };
@@ -303,7 +316,11 @@ class SiteBuilder {
     const postsIndexPath = path.join(this.contentDir, 'posts-index.json');
     if (await fs.pathExists(postsIndexPath)) {
       const postsIndex = await fs.readJson(postsIndexPath);
-      content.publishedPosts = postsIndex.posts || [];
+      const posts = postsIndex.posts || [];
+
+      // Unlisted posts get a page but stay out of listings, feeds, the sitemap and search
+      content.publishedPosts = posts.filter(post => !this.isUnlisted(post));
+      content.unlistedPosts = posts.filter(post => this.isUnlisted(post));
     }
     
     // Load scheduled posts
@@ -334,6 +351,13 @@ class SiteBuilder {
       content.categories = [];
     }
     
+    // Load archived posts, which only get a "retired" page
+    const archivedIndexPath = path.join(this.contentDir, 'archived-index.json');
+    if (await fs.pathExists(archivedIndexPath)) {
+      const archivedIndex = await fs.readJson(archivedIndexPath);
+      content.archivedPosts = archivedIndex.posts || [];
+    }
+    
     // Load tags
     const tagsIndexPath = path.join(this.contentDir, 'tags-index.json');
     if (await fs.pathExists(tagsIndexPath)) {
@@ -386,7 +410,7 @@ class SiteBuilder {
       }
     }
     
-    logger.success(`Loaded ${content.publishedPosts.length} published posts, ${content.scheduledPosts.length} scheduled posts`);
+    logger.success(`Loaded ${content.publishedPosts.length} published posts, ${content.unlistedPosts.length} unlisted posts, ${content.scheduledPosts.length} scheduled posts`);
     return content;
   }
 
@@ -397,7 +421,7 @@ class SiteBuilder {
     try {
       const outDir = path.join(this.outputDir, 'js');
       await fs.ensureDir(outDir);
-      const items = (content.publishedPosts || []).map(p => ({
+      const items = this.getIndexablePosts(content).map(p => ({
         slug: p.slug,
         categorySlug: this.slugify(p.category),
         title: p.title,
@@ -443,12 +467,14 @@ class SiteBuilder {
       return;
     }
 
-    const staticFiles = await this.getAllFiles(this.staticDir);
+    const staticFiles = (await this.getAllFiles(this.staticDir))
+      .map(file => ({ file, relativePath: path.relative(this.staticDir, file) }));
+    const contentAssets = await this.getContentAssets();
+    const assets = [...staticFiles, ...(await this.getVendorAssets()), ...contentAssets];
     let copiedCount = 0;
     let skippedCount = 0;
 
-    for (const file of staticFiles) {
-      const relativePath = path.relative(this.staticDir, file);
+    for (const { file, relativePath } of assets) {
       const outputPath = path.join(this.outputDir, relativePath);
       
       // Check if file needs to be copied
@@ -465,9 +491,64 @@ class SiteBuilder {
       }
     }
 
+    await this.removeStaleContentAssets(contentAssets);
+
     logger.success(`Static assets: ${copiedCount} copied, ${skippedCount} skipped (cached)`);
   }
 
+  /**
+   * Images downloaded from Notion, published from the asset store in content/assets
+   * @returns {Promise<Array<{file: string, relativePath: string}>>}
+   */
+  async getContentAssets() {
+    const { imagesDir, publicPath } = this.assetStore;
+    if (!await fs.pathExists(imagesDir)) {
+      return [];
+    }
+
+    return (await fs.readdir(imagesDir)).map(file => ({
+      file: path.join(imagesDir, file),
+      relativePath: path.join('.', publicPath, file)
+    }));
+  }
+
+  /**
+   * Remove published images the asset store has since cleaned up
+   * @param {Array<{relativePath: string}>} contentAssets - Assets from getContentAssets()
+   */
+  async removeStaleContentAssets(contentAssets) {
+    const publishedDir = path.join(this.outputDir, this.assetStore.publicPath);
+    if (!await fs.pathExists(publishedDir)) {
+      return;
+    }
+
+    const current = new Set(contentAssets.map(asset => path.basename(asset.relativePath)));
+    for (const file of await fs.readdir(publishedDir)) {
+      if (!current.has(file)) {
+        await fs.remove(path.join(publishedDir, file));
+        logger.debug(`Removed stale image: ${file}`);
+      }
+    }
+  }
+
+  /**
+   * Stylesheets and fonts served from node_modules rather than a CDN
+   * @returns {Promise<Array<{file: string, relativePath: string}>>}
+   */
+  async getVendorAssets() {
+    const katexDir = path.dirname(require.resolve('katex/dist/katex.min.css'));
+    const fonts = (await fs.readdir(path.join(katexDir, 'fonts')))
+      .filter(font => font.endsWith('.woff2'));
+
+    return [
+      { file: path.join(katexDir, 'katex.min.css'), relativePath: path.join('css', 'katex', 'katex.min.css') },
+      ...fonts.map(font => ({
+        file: path.join(katexDir, 'fonts', font),
+        relativePath: path.join('css', 'katex', 'fonts', font)
+      }))
+    ];
+  }
+
   /**
    * Get all files recursively from a directory
    */
@@ -498,7 +579,10 @@ class SiteBuilder {
    */
   async generateRSSFeedIncremental(posts) {
     const rssPath = path.join(this.outputDir, 'rss.xml');
-    const contentPaths = posts.map(post => path.join(this.contentDir, 'posts', `${post.slug}.json`));
+    const contentPaths = [
+      ...posts.map(post => path.join(this.contentDir, 'posts', `${post.slug}.json`)),
+      path.join(this.contentDir, 'posts-index.json')
+    ];
     
     if (!this.force && !this.buildCache.shouldRebuildFile(rssPath, contentPaths)) {
       logger.debug('RSS feed unchanged, skipping');
@@ -552,6 +636,32 @@ class SiteBuilder {
     }
   }
 
+  /**
+   * Write next-publish.json with the next upcoming scheduled publish time
+   * A deploy job can wait for it (see `npm run sync -- --until-next-publish`) instead of
+   * publishing on the next 3-hourly sync.
+   * @param {Array} scheduledPosts - Posts from scheduled-index.json
+   */
+  async generateNextPublish(scheduledPosts) {
+    const next = getNextPublish(scheduledPosts);
+
+    await fs.writeJson(path.join(this.outputDir, 'next-publish.json'), {
+      nextPublishAt: next ? next.publishAt.toISOString() : null,
+      post: next ? {
+        id: next.post.id,
+        title: next.post.title,
+        slug: next.post.slug,
+        category: next.post.category,
+        publishDate: next.post.publishDate
+      } : null,
+      generatedAt: new Date().toISOString()
+    }, { spaces: 2 });
+
+    if (next) {
+      logger.info(`Next scheduled publish: "${next.post.title}" at ${next.publishAt.toISOString()}`);
+    }
+  }
+
   /**
    * Generate robots.txt
    */
@@ -606,9 +716,16 @@ class SiteBuilder {
         await this.ogGenerator.generateCategoryImage(category);
         this.performanceMetrics.ogImagesGenerated++;
       }
+
+      // Generate tag OG images
+      const tags = this.collectTags(content.publishedPosts);
+      for (const tag of tags) {
+        await this.ogGenerator.generateTagImage(tag);
+        this.performanceMetrics.ogImagesGenerated++;
+      }
       
       // Generate post-specific OG images (only for posts without featured images or if generating fallbacks is enabled)
-      const postsNeedingOG = content.publishedPosts.filter(post => 
+      const postsNeedingOG = this.getLivePosts(content).filter(post => 
         !post.featuredImage || config.ogImages.generateFallbacks
       );
       
@@ -618,8 +735,9 @@ class SiteBuilder {
       }
       
       // Clean up old OG images
-      const currentSlugs = content.publishedPosts.map(post => post.slug);
+      const currentSlugs = this.getLivePosts(content).map(post => post.slug);
       await this.ogGenerator.cleanupOldImages(currentSlugs);
+      await this.ogGenerator.cleanupOldImages(tags.map(tag => tag.slug), 'tag-');
       
       logger.success(`Generated ${this.performanceMetrics.ogImagesGenerated} OG images`);
       
@@ -646,7 +764,8 @@ class SiteBuilder {
       author: baseData.author,
       featuredPosts,
       recentPosts,
-      scheduledPosts: content.scheduledPosts.slice(0, 3)
+      // Unlisted posts stay in the scheduled index only to time the next publish
+      scheduledPosts: content.scheduledPosts.filter(post => !this.isUnlisted(post)).slice(0, 3)
     });
     
     const homeHtml = this.templates.base({
@@ -753,21 +872,24 @@ class SiteBuilder {
         posts: pagePosts,
         pagination,
         categories: this.getSortedCategoriesNav(content.categories || []),
-        popularTags: (content.tags || []).slice(0, 10),
+        popularTags: (content.tags || []).slice(0, 10).map(tag => ({ ...tag, slug: this.slugify(tag.name) })),
         showCategoriesFilter: true,
         showTagsCloud: true,
         showDraftBadges: process.env.DEV_INCLUDE_DRAFTS === 'true',
         ...extraData
       });
       
+      const listingTitle = extraData.listingTitle || extraData.categoryName || 'Blog';
       const pageTitle = page === 1 
-        ? (extraData.categoryName || 'Blog')
-        : `${extraData.categoryName || 'Blog'} - Page ${page}`;
+        ? listingTitle
+        : `${listingTitle} - Page ${page}`;
       
-      // Determine OG image for category pages
+      // Determine OG image for category and tag pages
       let categoryOgImage;
       if (this.ogGenerator && extraData.categoryFilter) {
         categoryOgImage = `/og-images/category-${extraData.categoryFilter}.png`;
+      } else if (this.ogGenerator && extraData.tagFilter) {
+        categoryOgImage = `/og-images/tag-${extraData.tagFilter}.png`;
       } else if (this.ogGenerator) {
         categoryOgImage = '/og-images/default.png';
       }
@@ -775,11 +897,11 @@ class SiteBuilder {
       const blogHtml = this.templates.base({
         ...this.getBaseTemplateData(),
         content: blogContent,
-        isBlog: !extraData.categoryFilter,
+        isBlog: !extraData.categoryFilter && !extraData.tagFilter,
         isResearch: extraData.categoryFilter === 'research-notes',
         isMath: extraData.categoryFilter === 'math',
         pageTitle,
-        description: extraData.categoryDescription || `${config.site.title} blog posts`,
+        description: extraData.categoryDescription || extraData.tagDescription || `${config.site.title} blog posts`,
         canonicalPath: page === 1 ? urlPath : `${urlPath}/page/${page}`,
         ogImage: categoryOgImage,
         categories: this.getSortedCategoriesNav(content.categories || []),
@@ -808,42 +930,86 @@ class SiteBuilder {
     
     const includeDrafts = process.env.DEV_INCLUDE_DRAFTS === 'true';
     const allPosts = [
-      ...content.publishedPosts,
+      ...this.getLivePosts(content),
       ...content.scheduledPosts,
       ...(includeDrafts ? content.draftPosts : [])
     ];
     let generatedCount = 0;
     
+    // Load each post's content once for the link graph and its page
+    const fullPosts = new Map();
+    for (const post of allPosts) {
+      const postContentPath = path.join(this.contentDir, 'posts', `${post.slug}.json`);
+      if (await fs.pathExists(postContentPath)) {
+        fullPosts.set(post.slug, await fs.readJson(postContentPath));
+      } else {
+        logger.warn(`Post content not found: ${post.slug}`);
+      }
+    }
+
     const categoriesNav = this.getSortedCategoriesNav(content.categories || []);
+    const linkGraph = await this.generateLinkGraph(
+      this.getIndexablePosts(content).map(post => fullPosts.get(post.slug)).filter(Boolean)
+    );
     for (const post of allPosts) {
-      await this.generatePostPage(post, allPosts, categoriesNav);
+      if (!fullPosts.has(post.slug)) continue;
+
+      const backlinks = getBacklinks(linkGraph, `/${this.slugify(post.category)}/${post.slug}`);
+      await this.generatePostPage(post, allPosts, categoriesNav, backlinks, fullPosts.get(post.slug));
       generatedCount++;
     }
     
     logger.success(`Generated ${generatedCount} post pages`);
   }
 
+  /**
+   * Build the graph of links between published posts and emit it as /js/link-graph.json
+   * @param {Array} fullPosts - Posts with their content, as loaded from content/posts
+   * @returns {Promise<{nodes: Array, links: Array}>}
+   */
+  async generateLinkGraph(fullPosts) {
+    try {
+      const graph = buildLinkGraph(fullPosts, {
+        siteUrl: config.site.url,
+        slugify: (text) => this.slugify(text)
+      });
+
+      const outDir = path.join(this.outputDir, 'js');
+      await fs.ensureDir(outDir);
+      await fs.writeJson(path.join(outDir, 'link-graph.json'), graph, { spaces: 0 });
+      this.performanceMetrics.pagesGenerated++;
+
+      logger.debug(`Link graph: ${graph.nodes.length} posts, ${graph.links.length} links`);
+      return graph;
+    } catch (err) {
+      logger.warn('Failed to generate link graph', err);
+      return { nodes: [], links: [] };
+    }
+  }
+
   /**
    * Generate a single post page
+   * @param {Array} backlinks - Posts linking to this one, from getBacklinks
+   * @param {Object} [loadedPost] - Full post content, when already loaded
    */
-  async generatePostPage(post, allPosts, categoriesNav = []) {
+  async generatePostPage(post, allPosts, categoriesNav = [], backlinks = [], loadedPost = null) {
     // Load full post content
     const postContentPath = path.join(this.contentDir, 'posts', `${post.slug}.json`);
     
-    if (!(await fs.pathExists(postContentPath))) {
+    if (!loadedPost && !(await fs.pathExists(postContentPath))) {
       logger.warn(`Post content not found: ${post.slug}`);
       return;
     }
     
-    const fullPost = await fs.readJson(postContentPath);
+    const fullPost = loadedPost || await fs.readJson(postContentPath);
     
     // Find related posts
     const relatedPosts = this.findRelatedPosts(fullPost, allPosts);
     
     // Find prev/next posts in the same category
     const categoryPosts = allPosts
-      .filter(p => p.category === post.category && p.status === 'Published')
-      .sort((a, b) => new Date(b.publishDate) - new Date(a.publishDate));
+      .filter(p => p.category === post.category && p.status === 'Published' && !this.isUnlisted(p))
+      .sort((a, b) => parseSiteDate(b.publishDate) - parseSiteDate(a.publishDate));
     
     const currentIndex = categoryPosts.findIndex(p => p.slug === post.slug);
     const prevPost = currentIndex > 0 ? categoryPosts[currentIndex - 1] : null;
@@ -852,9 +1018,12 @@ class SiteBuilder {
     const baseData = this.getBaseTemplateData();
     const postContent = this.templates['blog-post']({
       ...fullPost,
+      // Password-protected posts are stored encrypted by sync, unlocked in the browser by /js/unlock.js
+      locked: this.isProtected(fullPost) ? fullPost.locked : null,
       author: baseData.author,
       site: config.site,
       relatedPosts,
+      backlinks,
       prevPost,
       nextPost
     });
@@ -870,7 +1039,7 @@ class SiteBuilder {
       ...this.getBaseTemplateData(),
       content: postContent,
       isPost: true,
-      enableMath: true, // Enable math for all posts
+      enableMath: Boolean(fullPost.hasMath), // Load KaTeX styles only where equations were rendered
       pageTitle: fullPost.title,
       description: fullPost.excerpt || `${fullPost.title} - ${config.site.title}`,
       canonicalPath: `/${this.slugify(fullPost.category)}/${fullPost.slug}`,
@@ -878,6 +1047,7 @@ class SiteBuilder {
       ogImage: ogImage, // Dedicated OG image field
       publishDate: fullPost.publishDate,
       lastEditedTime: fullPost.lastEditedTime,
+      noindex: this.isUnlisted(fullPost) || this.isProtected(fullPost),
       categories: categoriesNav,
       activeCategorySlug: this.slugify(fullPost.category)
     });
@@ -984,6 +1154,99 @@ class SiteBuilder {
     logger.success('Category pages generated');
   }
 
+  /**
+   * Group posts by tag for tag pages, OG images and the sitemap
+   * @param {Array} posts - Posts to group
+   * @returns {Array} Tags with name, slug, count and posts (most used first)
+   */
+  collectTags(posts) {
+    const tagsBySlug = new Map();
+
+    for (const post of posts || []) {
+      if (!Array.isArray(post.tags)) continue;
+
+      for (const tagName of post.tags) {
+        const slug = this.slugify(tagName);
+        if (!slug) continue;
+
+        if (!tagsBySlug.has(slug)) {
+          tagsBySlug.set(slug, { name: tagName, slug, posts: [] });
+        }
+        tagsBySlug.get(slug).posts.push(post);
+      }
+    }
+
+    return Array.from(tagsBySlug.values())
+      .map(tag => ({ ...tag, count: tag.posts.length }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Generate paginated listing pages for each tag plus the /tag/ index
+   */
+  async generateTagPages(content) {
+    logger.info('Generating tag pages...');
+
+    const includeDrafts = process.env.DEV_INCLUDE_DRAFTS === 'true';
+    const sourcePosts = includeDrafts
+      ? [...content.publishedPosts, ...(content.draftPosts || [])]
+      : content.publishedPosts;
+
+    const tags = this.collectTags(sourcePosts);
+    if (tags.length === 0) {
+      logger.debug('No tags found, skipping tag page generation');
+      return;
+    }
+
+    const tagsDir = path.join(this.outputDir, 'tag');
+    await fs.ensureDir(tagsDir);
+
+    for (const tag of tags) {
+      const tagDir = path.join(tagsDir, tag.slug);
+      await fs.ensureDir(tagDir);
+
+      await this.generateBlogListingPage(
+        this.sortPostsForListing(tag.posts),
+        `/tag/${tag.slug}`,
+        path.join(tagDir, 'index.html'),
+        content,
+        {
+          tagFilter: tag.slug,
+          tagName: tag.name,
+          tagCount: tag.count,
+          listingTitle: `Posts tagged "${tag.name}"`,
+          tagDescription: `${tag.count} ${tag.count === 1 ? 'post' : 'posts'} tagged ${tag.name} on ${config.site.title}`
+        }
+      );
+    }
+
+    if (!this.templates['tag-index']) {
+      logger.warn('Tag index template missing, skipping /tag/ index page');
+      return;
+    }
+
+    const tagIndexContent = this.templates['tag-index']({
+      tags: tags.map(({ name, slug, count }) => ({ name, slug, count })),
+      totalTags: tags.length
+    });
+
+    const tagIndexHtml = this.templates.base({
+      ...this.getBaseTemplateData(),
+      content: tagIndexContent,
+      pageTitle: 'Tags',
+      description: `All topics on ${config.site.title}`,
+      canonicalPath: '/tag/',
+      ogImage: this.ogGenerator ? '/og-images/default.png' : null,
+      categories: this.getSortedCategoriesNav(content.categories || []),
+      activeCategorySlug: null
+    });
+
+    await fs.writeFile(path.join(tagsDir, 'index.html'), tagIndexHtml);
+    this.performanceMetrics.pagesGenerated++;
+
+    logger.success(`Generated ${tags.length} tag pages`);
+  }
+
   /**
    * Generate 404 page using base template
    */
@@ -1015,6 +1278,153 @@ class SiteBuilder {
     }
   }
 
+  /**
+   * Site path of a post
+   */
+  getPostPath(post) {
+    return `/${this.slugify(post.category)}/${post.slug}`;
+  }
+
+  /**
+   * Whether a post is only reachable by its URL (Visibility: Unlisted)
+   */
+  isUnlisted(post) {
+    return post.visibility === 'Unlisted';
+  }
+
+  /**
+   * Whether a post needs a password to read (Password set in Notion)
+   */
+  isProtected(post) {
+    return Boolean(post.protected);
+  }
+
+  /**
+   * Published posts that may appear in feeds, search and the sitemap: not password-protected
+   */
+  getIndexablePosts(content) {
+    return (content.publishedPosts || []).filter(post => !this.isProtected(post));
+  }
+
+  /**
+   * Posts with a live page: published and unlisted ones
+   */
+  getLivePosts(content) {
+    return [...content.publishedPosts, ...(content.unlistedPosts || [])];
+  }
+
+  /**
+   * Emit redirects for renamed posts recorded by sync in content/redirects.json
+   * Writes dist/redirects.json, which api/missing-post.js answers with 308s on Vercel, and elsewhere
+   * a meta-refresh page at each old path (on Vercel that page would be served instead of the redirect)
+   * @returns {Promise<Array<{source: string, destination: string}>>} Redirect rules
+   */
+  async generateRedirects(content) {
+    const redirectsPath = path.join(this.contentDir, 'redirects.json');
+    if (!await fs.pathExists(redirectsPath)) {
+      return [];
+    }
+
+    const { pages = {}, redirects = {} } = await fs.readJson(redirectsPath);
+    const livePaths = new Set(this.getLivePosts(content).map(post => this.getPostPath(post)));
+
+    const rules = Object.entries(redirects)
+      .map(([source, pageId]) => ({ source, destination: pages[pageId] }))
+      .filter(rule => livePaths.has(rule.destination) && !livePaths.has(rule.source));
+
+    await fs.ensureDir(this.outputDir);
+    await fs.writeJson(
+      path.join(this.outputDir, 'redirects.json'),
+      Object.fromEntries(rules.map(({ source, destination }) => [source, destination])),
+      { spaces: 0 }
+    );
+
+    if (!process.env.VERCEL) {
+      for (const { source, destination } of rules) {
+        const stubPath = path.join(this.outputDir, `${source}.html`);
+        await fs.ensureDir(path.dirname(stubPath));
+        await fs.writeFile(stubPath, this.renderRedirectStub(destination));
+      }
+    }
+
+    if (rules.length > 0) {
+      logger.info(`↪️  Generated ${rules.length} redirects for renamed posts`);
+    }
+    return rules;
+  }
+
+  /**
+   * Render "retired" pages for archived posts into dist/gone, served with 410 Gone by api/missing-post.js
+   * They live outside the post paths: vercel.json only rewrites paths with no file to the function
+   * @returns {Promise<Array<string>>} Paths of archived posts
+   */
+  async generateArchivedPages(content) {
+    if (!this.templates.archived || content.archivedPosts.length === 0) {
+      return [];
+    }
+
+    const livePaths = new Set(this.getLivePosts(content).map(post => this.getPostPath(post)));
+    const gonePaths = [];
+
+    for (const post of content.archivedPosts) {
+      const postPath = this.getPostPath(post);
+      // The slug now belongs to a published post
+      if (livePaths.has(postPath)) continue;
+
+      const replacementPost = post.replacedBy && this.getLivePosts(content).find(candidate => candidate.id === post.replacedBy);
+      const replacement = replacementPost
+        ? { title: replacementPost.title, path: this.getPostPath(replacementPost) }
+        : null;
+
+      const pageHtml = this.templates.base({
+        ...this.getBaseTemplateData(),
+        content: this.templates.archived({ title: post.title, replacement }),
+        pageTitle: post.title,
+        description: 'This post has been retired',
+        canonicalPath: replacement ? replacement.path : postPath,
+        noindex: true,
+        categories: this.getSortedCategoriesNav(content.categories || []),
+        activeCategorySlug: null
+      });
+
+      const gonePath = path.join(this.outputDir, 'gone', `${postPath}.html`);
+      await fs.ensureDir(path.dirname(gonePath));
+      await fs.writeFile(gonePath, pageHtml);
+
+      // Drop the page from when the post was live so it cannot be served instead
+      await fs.remove(path.join(this.outputDir, `${postPath}.html`));
+
+      gonePaths.push(postPath);
+      this.performanceMetrics.pagesGenerated++;
+    }
+
+    if (gonePaths.length > 0) {
+      logger.info(`🗄️  Generated ${gonePaths.length} retired pages for archived posts`);
+    }
+    return gonePaths;
+  }
+
+  /**
+   * Minimal page sending visitors and crawlers on to a post's current URL
+   */
+  renderRedirectStub(destination) {
+    const url = `${config.site.url}${destination}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Redirecting…</title>
+  <meta name="robots" content="noindex">
+  <link rel="canonical" href="${url}">
+  <meta http-equiv="refresh" content="0; url=${destination}">
+</head>
+<body>
+  <p>This post has moved to <a href="${destination}">${url}</a>.</p>
+</body>
+</html>
+`;
+  }
+
   /**
    * Generate RSS feed
    */
@@ -1048,7 +1458,7 @@ class SiteBuilder {
         guid: post.id,
         categories: post.tags || [],
         author: config.author.name,
-        date: post.publishDate
+        date: parseSiteDate(post.publishDate)
       });
     }
     
@@ -1088,13 +1498,30 @@ class SiteBuilder {
       });
     }
     
+    // Add tag pages
+    const tags = this.collectTags(content.publishedPosts);
+    if (tags.length > 0) {
+      links.push({
+        url: '/tag/',
+        changefreq: 'weekly',
+        priority: 0.5
+      });
+    }
+    for (const tag of tags) {
+      links.push({
+        url: `/tag/${tag.slug}`,
+        changefreq: 'weekly',
+        priority: 0.4
+      });
+    }
+    
     // Add posts
-    for (const post of content.publishedPosts) {
+    for (const post of this.getIndexablePosts(content)) {
       links.push({
         url: `/${this.slugify(post.category)}/${post.slug}`,
         changefreq: 'monthly',
         priority: 0.6,
-        lastmod: post.lastEditedTime
+        lastmod: parseSiteDate(post.lastEditedTime || post.publishDate)
       });
     }
     
@@ -1117,7 +1544,7 @@ class SiteBuilder {
    */
   findRelatedPosts(currentPost, allPosts, maxResults = 3) {
     const publishedPosts = allPosts.filter(post => 
-      post.status === 'Published' && post.slug !== currentPost.slug
+      post.status === 'Published' && post.slug !== currentPost.slug && !this.isUnlisted(post)
     );
     
     const scored = publishedPosts.map(post => {
@@ -1198,13 +1625,11 @@ class SiteBuilder {
       if (!handle) return '';
       return handle.startsWith('@') ? handle.substring(1) : handle;
     });
-    // Date formatting helper
+    // Date formatting helper, in the site's time zone (config.site.timezone)
     this.handlebars.registerHelper('formatDate', (date, formatStr = 'MMMM d, yyyy') => {
       if (!date) return '';
       
       try {
-        const parsedDate = typeof date === 'string' ? parseISO(date) : date;
-        
         // Validate the format string - ensure it's a string before checking
         let safeFormatStr = typeof formatStr === 'string' ? formatStr : 'MMMM d, yyyy';
         
@@ -1216,19 +1641,25 @@ class SiteBuilder {
           safeFormatStr = safeFormatStr.replace(/\bdo\b/g, "'do'");
         }
         
-        return format(parsedDate, safeFormatStr);
+        return formatSiteDate(date, safeFormatStr);
       } catch (error) {
         logger.warn(`Date formatting error: ${error.message}, using fallback format`);
         // Fallback to a safe format
         try {
-          const parsedDate = typeof date === 'string' ? parseISO(date) : date;
-          return format(parsedDate, 'MMMM d, yyyy');
+          return formatSiteDate(date, 'MMMM d, yyyy');
         } catch (fallbackError) {
           logger.error(`Date parsing failed entirely for: ${date}`);
           return date.toString();
         }
       }
     });
+
+    // Publish date of a scheduled post, with its time when one is set
+    this.handlebars.registerHelper('formatScheduledDate', (date) => {
+      if (!date) return '';
+      if (!hasTime(date)) return formatSiteDate(date, 'MMMM d, yyyy');
+      return `${formatSiteDate(date, "MMMM d, yyyy 'at' h:mm a")} (${getSiteTimezone()})`;
+    });
     
     // Truncate text helper
     this.handlebars.registerHelper('truncate', (text, length = 100) => {
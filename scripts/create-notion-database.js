@@ -415,6 +415,17 @@ class AutomatedNotionDatabaseCreator {
         'Featured': {
           checkbox: {}
         },
+        'Visibility': {
+          select: {
+            options: [
+              { name: 'Public', color: 'green' },
+              { name: 'Unlisted', color: 'gray' }
+            ]
+          }
+        },
+        'Password': {
+          rich_text: {}
+        },
         'Reading Time': {
           number: {
             format: 'number'
@@ -424,6 +435,12 @@ class AutomatedNotionDatabaseCreator {
           number: {
             format: 'number'
           }
+        },
+        'Last Synced': {
+          date: {}
+        },
+        'Live URL': {
+          url: {}
         }
       }
     });
@@ -125,7 +125,16 @@ async function createDatabase() {
         'Slug': { rich_text: {} },
         'Excerpt': { rich_text: {} },
         'Featured Image': { files: {} },
-        'Featured': { checkbox: {} }
+        'Featured': { checkbox: {} },
+        'Visibility': {
+          select: {
+            options: [
+              { name: 'Public', color: 'green' },
+              { name: 'Unlisted', color: 'gray' }
+            ]
+          }
+        },
+        'Password': { rich_text: {} }
       }
     });
 
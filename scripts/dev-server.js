@@ -127,12 +127,15 @@ class DevServer {
     });
 
     // Handle individual post pages
-    this.app.get('/:category/:slug', (req, res) => {
+    this.app.get('/:category/:slug', (req, res, next) => {
       const { category, slug } = req.params;
       const postPath = path.join(this.publicDir, category, `${slug}.html`);
       
       if (fs.existsSync(postPath)) {
         res.sendFile(postPath);
+      } else if (fs.existsSync(path.join(this.publicDir, category, slug, 'index.html'))) {
+        // Listing directories such as /tag/{slug} are served by the catch-all below
+        next();
       } else {
         const notFoundPath = path.join(this.publicDir, '404.html');
         if (fs.existsSync(notFoundPath)) {
@@ -6,8 +6,18 @@ const path = require('path');
 const logger = require('./utils/logger');
 const NotionClient = require('./utils/notion-client');
 const ContentProcessor = require('./utils/content-processor');
+const SyncReport = require('./utils/sync-report');
+const { notionRateLimiter } = require('./utils/rate-limiter');
+const { parseSiteDate, getNextPublish } = require('./utils/site-time');
+const { encryptContent } = require('./utils/post-encryption');
 const config = require('../config/site.config');
 
+// Stored with each post; bump when cached posts need re-rendering
+const SYNC_VERSION = '2.1';
+
+// Which status keeps a slug when several pages share it
+const SLUG_STATUS_PRIORITY = ['Published', 'Scheduled', 'Draft', 'Archived'];
+
 /**
  * Performance utilities for monitoring and optimization
  */
@@ -44,6 +54,11 @@ class PerformanceTracker {
     return this.metrics.memory;
   }
 
+  trackRateLimit() {
+    this.metrics.notionApi = notionRateLimiter.getMetrics();
+    return this.metrics.notionApi;
+  }
+
   getMetrics() {
     return { ...this.metrics };
   }
@@ -66,12 +81,22 @@ function chunk(array, size) {
 class NotionSync {
   constructor(options = {}) {
     this.notionClient = new NotionClient(options);
-    this.contentProcessor = new ContentProcessor(options);
+    this.contentProcessor = new ContentProcessor({
+      codeTheme: config.content.codeTheme,
+      codeLineNumbers: config.content.codeLineNumbers,
+      ...options
+    });
     this.contentDir = path.join(process.cwd(), config.build.contentDir);
     this.force = options.force || false;
     this.dryRun = options.dryRun || false;
+    this.strict = options.strict || false;
+    this.markdown = options.markdown || false;
+    this.writeBack = options.writeBack ?? config.notion.writeBack ?? false;
     this.concurrency = options.concurrency || 5; // Process 5 posts concurrently
     this.performanceTracker = new PerformanceTracker();
+    this.report = new SyncReport({ dryRun: this.dryRun });
+    this.newlyPublished = 0;
+    this.pageTitles = new Map();
     
     // Ensure content directory exists
     fs.ensureDirSync(this.contentDir);
@@ -83,6 +108,9 @@ class NotionSync {
   async sync() {
     const syncTimer = logger.timer('Notion sync');
     this.performanceTracker.startTimer('total_sync');
+    this.report = new SyncReport({ dryRun: this.dryRun });
+    this.newlyPublished = 0;
+    notionRateLimiter.resetMetrics();
     
     try {
       logger.section('Starting Optimized Notion Sync');
@@ -100,25 +128,39 @@ class NotionSync {
         throw new Error('Failed to connect to Notion API');
       }
 
-      // Get all content from Notion in parallel
+      // Get all content from Notion, only querying what changed since the last sync
       this.performanceTracker.startTimer('fetch_posts');
-      const [publishedPosts, scheduledPosts, draftPosts] = await Promise.all([
-        this.notionClient.getPublishedPosts(),
-        this.notionClient.getScheduledPosts(),
-        this.notionClient.getDraftPosts()
-      ]);
+      const { publishedPosts, scheduledPosts, draftPosts, archivedPosts, syncState } = await this.fetchPosts();
       this.performanceTracker.endTimer('fetch_posts');
 
       logger.info(`Found ${publishedPosts.length} published posts`);
       logger.info(`Found ${scheduledPosts.length} scheduled posts`);
       logger.info(`Found ${draftPosts.length} draft posts`);
+      logger.info(`Found ${archivedPosts.length} archived posts`);
+
+      // Keep one post per slug before any post file is written
+      const activePosts = [...publishedPosts, ...scheduledPosts, ...draftPosts];
+      const { posts: allPosts, metadataById } = await this.resolveSlugCollisions([...activePosts, ...archivedPosts]);
+      for (const [pageId, metadata] of metadataById) {
+        this.pageTitles.set(pageId, metadata.title);
+      }
 
       // Process all posts with parallel batching
-      const allPosts = [...publishedPosts, ...scheduledPosts, ...draftPosts];
       this.performanceTracker.startTimer('process_posts');
-      const processedPosts = await this.processPostsInParallel(allPosts);
+      const processedPosts = await this.processPostsInParallel(allPosts, metadataById);
       this.performanceTracker.endTimer('process_posts');
 
+      // Point links between posts at their site URLs
+      await this.resolvePageLinks(processedPosts);
+
+      // Protected posts are encrypted as they are saved, so they wait until their links are resolved
+      for (const post of processedPosts.filter(post => post.password)) {
+        await this.savePost(post);
+      }
+
+      // Redirect old URLs of posts whose slug or category changed
+      await this.updateRedirects(processedPosts, allPosts.map(post => post.id));
+
       // Generate index files
       this.performanceTracker.startTimer('generate_indexes');
       await this.generateIndexes(processedPosts);
@@ -128,13 +170,22 @@ class NotionSync {
       this.performanceTracker.startTimer('cleanup');
       await this.cleanupOldContent(processedPosts);
       
-      // Clean up unused cached images (if image caching is enabled)
-      await this.contentProcessor.cleanupUnusedImages();
+      // Clean up stored images no post in Notion references any more (archived posts release theirs)
+      if (this.dryRun) {
+        const unusedImages = await this.contentProcessor.findUnusedImages(activePosts.map(post => post.id));
+        logger.info(`[DRY RUN] Would clean up ${unusedImages.length} unused stored images`);
+      } else {
+        await this.contentProcessor.cleanupUnusedImages(activePosts.map(post => post.id));
+      }
       this.performanceTracker.endTimer('cleanup');
 
+      // Only move the high-water mark once everything fetched has been processed
+      await this.saveSyncState(syncState);
+
       // Track final memory usage
       const finalMemory = this.performanceTracker.trackMemory();
       const memoryIncrease = finalMemory.heapUsed - initialMemory.heapUsed;
+      const notionApi = this.performanceTracker.trackRateLimit();
       
       // Log performance metrics
       const totalTime = this.performanceTracker.endTimer('total_sync');
@@ -149,29 +200,209 @@ class NotionSync {
       logger.info(`   Fetch time: ${metrics.fetch_posts}ms`);
       logger.info(`   Processing time: ${metrics.process_posts}ms`);
       logger.info(`   Index generation: ${metrics.generate_indexes}ms`);
+      logger.info(`   Notion API: ${notionApi.requests} requests, ${notionApi.throttled} throttled (${notionApi.waitTime}ms waiting), ${notionApi.rateLimited} rate limited, ${notionApi.retries} retries`);
+
+      await this.saveReport();
       
       syncTimer();
       
       return {
         totalPosts: processedPosts.length,
         published: publishedPosts.length,
+        newlyPublished: this.newlyPublished,
         scheduled: scheduledPosts.length,
         drafts: draftPosts.length,
+        archived: archivedPosts.length,
+        changes: this.report.getSummary(),
         performance: metrics
       };
 
     } catch (error) {
       logger.error('Sync failed', error);
+      await this.saveReport(error);
       throw error;
     }
   }
 
+  /**
+   * Fetch posts from Notion by status
+   * The first sync, and any forced sync, queries each status in full. Later syncs query
+   * only pages changed since the stored high-water mark, list page ids to spot deleted
+   * pages, and merge both into the pages stored by the previous sync.
+   * @returns {Promise<Object>} Pages by status, plus the sync state to save afterwards
+   */
+  async fetchPosts() {
+    const fetchedAt = new Date().toISOString();
+    const previousState = this.force ? null : await this.loadSyncState();
+    let groups;
+    let changedPages;
+
+    if (previousState) {
+      const [pages, pageIds] = await Promise.all([
+        this.notionClient.getPostsChangedSince(previousState.lastEditedTime, previousState.syncedAt),
+        this.notionClient.getPageIds()
+      ]);
+      changedPages = pages;
+
+      const currentIds = new Set(pageIds);
+      const pagesById = new Map(Object.entries(previousState.pages).filter(([id]) => currentIds.has(id)));
+      const deletedCount = Object.keys(previousState.pages).length - pagesById.size;
+      for (const page of changedPages) {
+        pagesById.set(page.id, page);
+      }
+
+      logger.info(`⚡ Incremental sync: ${changedPages.length} pages changed since ${previousState.lastEditedTime}, ${deletedCount} deleted`);
+      groups = await this.notionClient.groupPostsByStatus([...pagesById.values()]);
+    } else {
+      const [published, scheduled, drafts, archived] = await Promise.all([
+        this.notionClient.getPublishedPosts(),
+        this.notionClient.getScheduledPosts(),
+        this.notionClient.getDraftPosts(),
+        this.notionClient.getArchivedPosts()
+      ]);
+      groups = { published, scheduled, drafts, archived };
+      changedPages = [published, scheduled, drafts, archived].flat();
+    }
+
+    // Pages outside these lists are fetched again once edited or once their publish date passes.
+    // Passwords are not stored; processPost fetches the page again to re-render a protected post.
+    const keptPages = [groups.published, groups.scheduled, groups.drafts, groups.archived].flat()
+      .map(page => this.notionClient.withoutProperty(page, 'password'));
+    const lastEditedTime = [previousState && previousState.lastEditedTime, ...changedPages.map(page => page.last_edited_time)]
+      .filter(Boolean)
+      .sort()
+      .pop() || null;
+
+    return {
+      publishedPosts: groups.published,
+      scheduledPosts: groups.scheduled,
+      draftPosts: groups.drafts,
+      archivedPosts: groups.archived,
+      syncState: {
+        databaseId: this.notionClient.databaseId,
+        lastEditedTime,
+        syncedAt: fetchedAt,
+        pages: Object.fromEntries(keptPages.map(page => [page.id, page]))
+      }
+    };
+  }
+
+  /**
+   * Read the previous sync's high-water mark and pages, or null to run a full sync
+   * @returns {Promise<Object|null>} Sync state
+   */
+  async loadSyncState() {
+    const statePath = path.join(this.contentDir, 'sync-state.json');
+
+    try {
+      if (await fs.pathExists(statePath)) {
+        const state = await fs.readJson(statePath);
+        if (state && state.lastEditedTime && state.pages && state.databaseId === this.notionClient.databaseId) {
+          return state;
+        }
+      }
+    } catch (error) {
+      logger.warn('Failed to read sync state, running a full sync', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Store the high-water mark and fetched pages for the next incremental sync
+   * @param {Object} state - Sync state from fetchPosts()
+   */
+  async saveSyncState(state) {
+    if (this.dryRun) {
+      logger.info('[DRY RUN] Would save sync state');
+      return;
+    }
+
+    await fs.writeJson(path.join(this.contentDir, 'sync-state.json'), state);
+  }
+
+  /**
+   * Find pages whose slugs collide, since every post is saved as `posts/{slug}.json`
+   * The page that keeps the slug is chosen deterministically: Published before Scheduled,
+   * Draft and Archived, then the oldest page, then the lowest page id. In strict mode any
+   * collision fails the sync instead.
+   * @param {Array} pages - Notion pages from every status
+   * @returns {Promise<{posts: Array, metadataById: Map, collisions: Array}>} Pages to process
+   */
+  async resolveSlugCollisions(pages) {
+    const metadataById = new Map();
+    const pagesBySlug = new Map();
+
+    for (const page of pages) {
+      let metadata;
+      try {
+        metadata = await this.notionClient.extractMetadata(page);
+      } catch (error) {
+        // processPost reports pages with invalid metadata
+        continue;
+      }
+
+      metadataById.set(page.id, metadata);
+      if (!pagesBySlug.has(metadata.slug)) pagesBySlug.set(metadata.slug, []);
+      pagesBySlug.get(metadata.slug).push(page);
+    }
+
+    const skipped = new Set();
+    const collisions = [];
+
+    for (const [slug, slugPages] of pagesBySlug) {
+      if (slugPages.length < 2) continue;
+
+      const [kept, ...others] = slugPages.slice().sort((a, b) => this.compareSlugOwners(metadataById.get(a.id), metadataById.get(b.id)));
+      const keptMetadata = metadataById.get(kept.id);
+
+      for (const other of others) {
+        const otherMetadata = metadataById.get(other.id);
+        skipped.add(other.id);
+        collisions.push({
+          slug,
+          kept: { id: kept.id, title: keptMetadata.title, status: keptMetadata.status },
+          skipped: { id: other.id, title: otherMetadata.title, status: otherMetadata.status }
+        });
+        logger.warn(`⚠️  Duplicate slug "${slug}": keeping "${keptMetadata.title}" (${kept.id}), skipping "${otherMetadata.title}" (${other.id})`);
+        this.report.record('failed', otherMetadata, `duplicate slug "${slug}", kept by "${keptMetadata.title}" (${kept.id})`);
+      }
+    }
+
+    this.slugCollisions = collisions;
+
+    if (collisions.length > 0 && this.strict) {
+      throw new Error(`Duplicate slugs found in strict mode: ${collisions.map(c => `"${c.slug}" (${c.kept.id}, ${c.skipped.id})`).join(', ')}`);
+    }
+
+    return {
+      posts: pages.filter(page => !skipped.has(page.id)),
+      metadataById,
+      collisions
+    };
+  }
+
+  /**
+   * Order pages competing for a slug; the first one keeps it
+   */
+  compareSlugOwners(a, b) {
+    const rank = status => {
+      const index = SLUG_STATUS_PRIORITY.indexOf(status);
+      return index === -1 ? SLUG_STATUS_PRIORITY.length : index;
+    };
+
+    return rank(a.status) - rank(b.status) ||
+      String(a.createdTime || '').localeCompare(String(b.createdTime || '')) ||
+      String(a.id).localeCompare(String(b.id));
+  }
+
   /**
    * Process posts in parallel batches for optimal performance
    * @param {Array} allPosts - All posts to process
+   * @param {Map} [metadataById] - Metadata already extracted, by page id
    * @returns {Promise<Array>} Processed posts
    */
-  async processPostsInParallel(allPosts) {
+  async processPostsInParallel(allPosts, metadataById = new Map()) {
     if (allPosts.length === 0) {
       return [];
     }
@@ -194,7 +425,7 @@ class NotionSync {
         // Process batch in parallel with error handling
         const batchPromises = batch.map(async (post, index) => {
           try {
-            const result = await this.processPost(post);
+            const result = await this.processPost(post, metadataById.get(post.id));
             processedCount++;
             
             // Log progress
@@ -243,44 +474,86 @@ class NotionSync {
   /**
    * Process a single post from Notion with smart caching
    * @param {Object} notionPage - Notion page object
+   * @param {Object} [extractedMetadata] - Metadata already extracted from the page
    * @returns {Promise<Object|null>} Processed post data
    */
-  async processPost(notionPage) {
+  async processPost(notionPage, extractedMetadata = null) {
     const postTimer = logger.timer(`Process post: ${notionPage.id}`);
+    let metadata = extractedMetadata;
     
     try {
       // Extract metadata from Notion page (lightweight operation)
-      const metadata = await this.notionClient.extractMetadata(notionPage);
+      metadata = metadata || await this.notionClient.extractMetadata(notionPage);
       
       logger.debug(`🔍 Checking post: ${metadata.title}`);
 
-      // Smart caching: Check if we need to update this post
+      if (metadata.status === 'Archived') {
+        postTimer();
+        return await this.processArchivedPost(metadata);
+      }
+
       const existingPost = await this.getExistingPost(metadata.slug);
-      const shouldUpdate = this.shouldUpdatePost(existingPost, metadata);
+
+      // Cache the featured image even for unchanged posts so the asset store keeps it referenced
+      Object.assign(metadata, await this.getFeaturedImage(metadata, existingPost, notionPage.id));
+
+      // Smart caching: Check if we need to update this post
+      const updateReason = this.getUpdateReason(existingPost, metadata);
       
-      if (!shouldUpdate && !this.force) {
+      if (!updateReason) {
         logger.debug(`⚡ Cache hit: Skipping unchanged post: ${metadata.title}`);
+        this.report.record('unchanged', metadata);
+        if (await this.writeBackToNotion(notionPage, existingPost)) {
+          await this.savePost(existingPost);
+        }
         postTimer();
         return existingPost;
       }
 
       // Only fetch content blocks if we need to update
       logger.debug(`🔄 Processing updated post: ${metadata.title}`);
+      // Pages kept from the last sync have no Password (see fetchPosts)
+      if (existingPost?.protected && !metadata.password) {
+        notionPage = await this.notionClient.getPage(notionPage.id);
+        metadata.password = this.notionClient.extractMetadata(notionPage).password;
+      }
       const blocks = await this.notionClient.getPageBlocks(notionPage.id);
-      
+      await this.resolveRelations(metadata);
+
       // Process content
-      const processedContent = await this.contentProcessor.processPage(notionPage, blocks);
+      const {
+        unsupportedBlockTypes = [],
+        mathErrors = [],
+        ...processedContent
+      } = await this.contentProcessor.processPage(notionPage, blocks);
+
+      if (unsupportedBlockTypes.length > 0) {
+        logger.warn(`⚠️  "${metadata.title}" contains unsupported block types (not rendered): ${unsupportedBlockTypes.join(', ')}`);
+      }
+      for (const message of mathErrors) {
+        logger.warn(`⚠️  "${metadata.title}" has an equation that failed to render: ${message}`);
+      }
       
-      // Combine metadata and content
+      // Combine metadata and content; a protected post keeps its previous ciphertext for the salt
       const postData = {
         ...metadata,
         ...processedContent,
+        ...(metadata.password && { protected: true, locked: existingPost?.locked }),
         lastSynced: new Date().toISOString(),
-        syncVersion: '2.0' // Track sync version for future optimizations
+        syncVersion: SYNC_VERSION
       };
 
-      // Save the post
-      await this.savePost(postData);
+      // Went live in this sync, e.g. a Scheduled post whose time came
+      if (postData.status === 'Published' && existingPost?.status !== 'Published') {
+        this.newlyPublished++;
+      }
+
+      // Save the post; sync() saves protected posts once links between posts are resolved
+      await this.writeBackToNotion(notionPage, postData);
+      if (!postData.password) {
+        await this.savePost(postData);
+      }
+      this.report.record(existingPost ? 'updated' : 'added', postData, updateReason);
       
       logger.success(`✅ Processed: ${metadata.title}`);
       postTimer();
@@ -289,11 +562,166 @@ class NotionSync {
 
     } catch (error) {
       logger.error(`❌ Failed to process post ${notionPage.id}`, error);
+      this.report.record('failed', { ...metadata, id: notionPage.id }, error.message);
       postTimer();
       return null;
     }
   }
 
+  /**
+   * Swap a password-protected post's body for its ciphertext, unlocked in the browser by /js/unlock.js
+   * Neither the password nor the readable body is stored. The salt is reused from the previous
+   * ciphertext, so re-syncing an unchanged body gives the same ciphertext and the same page.
+   * @param {Object} postData - Processed post data
+   * @returns {Object} Post data to store
+   */
+  lockPost({ password, ...post }) {
+    if (!password) return post;
+
+    return {
+      ...post,
+      content: '',
+      excerpt: null,
+      tableOfContents: [],
+      protected: true,
+      // Its links are resolved again only when the post is re-rendered (see getUpdateReason)
+      linksToPages: Boolean(post.content && post.content.includes('data-notion-page-id')),
+      locked: encryptContent(post.content || '', password, { salt: post.locked?.salt })
+    };
+  }
+
+  /**
+   * Write computed values back to the Notion page when writeBack is on
+   * Only changed values are written. The page's new last_edited_time is kept on the
+   * post, so the write itself doesn't look like an edit to the next sync.
+   * @param {Object} notionPage - Notion page the post came from
+   * @param {Object} post - Processed post data, updated in place
+   * @returns {Promise<boolean>} Whether the page was updated
+   */
+  async writeBackToNotion(notionPage, post) {
+    if (!this.writeBack || this.dryRun) return false;
+
+    try {
+      const updatedPage = await this.notionClient.updatePageFields(notionPage, {
+        readingTime: post.readingTime,
+        wordCount: post.wordCount,
+        lastSynced: post.lastSynced,
+        liveUrl: post.status === 'Published' ? `${config.site.url}${this.getPostPath(post)}` : null
+      });
+      if (!updatedPage) return false;
+
+      post.lastEditedTime = updatedPage.last_edited_time;
+      logger.debug(`📝 Wrote computed properties back to Notion: ${post.title}`);
+      return true;
+    } catch (error) {
+      logger.warn(`⚠️  Could not write computed properties back to Notion for "${post.title}": ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Save an archived post without its content; the build renders it as a "retired" page
+   * @param {Object} metadata - Extracted metadata
+   * @returns {Promise<Object>} Archived post data
+   */
+  async processArchivedPost(metadata) {
+    const existingPost = await this.getExistingPost(metadata.slug);
+    const postData = {
+      ...metadata,
+      featuredImage: null,
+      content: '',
+      lastSynced: new Date().toISOString(),
+      syncVersion: SYNC_VERSION
+    };
+    delete postData.password;
+
+    await this.savePost(postData);
+
+    if (existingPost && existingPost.status === 'Archived' && existingPost.lastEditedTime === metadata.lastEditedTime) {
+      this.report.record('unchanged', metadata);
+    } else {
+      this.report.record(existingPost ? 'updated' : 'added', metadata, 'archived');
+    }
+
+    logger.info(`🗄️  Archived: ${metadata.title}`);
+    return postData;
+  }
+
+  /**
+   * Replace page ids in extra relation fields (see config.notion.properties) with `{id, title}`
+   * @param {Object} metadata - Extracted metadata, updated in place
+   */
+  async resolveRelations(metadata) {
+    for (const [field, property] of Object.entries(config.notion.properties || {})) {
+      if (property.type !== 'relation' || !Array.isArray(metadata[field])) continue;
+
+      metadata[field] = await Promise.all(metadata[field].map(async (pageId) => ({
+        id: pageId,
+        title: await this.getPageTitle(pageId)
+      })));
+    }
+  }
+
+  /**
+   * Title of a related page: posts in this sync are known, other pages are fetched once
+   * @param {string} pageId - Notion page id
+   * @returns {Promise<string|null>} Title, or null when the page can't be read
+   */
+  async getPageTitle(pageId) {
+    if (!this.pageTitles.has(pageId)) {
+      this.pageTitles.set(pageId, this.notionClient.getPage(pageId)
+        .then(page => {
+          const titleProperty = Object.values(page.properties || {}).find(property => property.type === 'title');
+          return this.notionClient.getPropertyValue(titleProperty) || null;
+        })
+        .catch(error => {
+          logger.debug(`Could not read title of related page ${pageId}`, error);
+          return null;
+        }));
+    }
+    return this.pageTitles.get(pageId);
+  }
+
+  /**
+   * Rewrite page mentions and notion.so links between posts to `/{category}/{slug}`
+   * Runs over cached posts too, so links follow renamed slugs and newly published targets
+   * @param {Array} posts - All processed posts
+   */
+  async resolvePageLinks(posts) {
+    const linkingPosts = posts.filter(post => post.content && post.content.includes('data-notion-page-id'));
+    if (linkingPosts.length === 0) return;
+
+    const pagePaths = new Map();
+    const titles = new Map();
+
+    for (const post of posts) {
+      const pageId = this.contentProcessor.normalizePageId(post.id);
+      titles.set(pageId, post.title);
+      if (post.status === 'Published') {
+        pagePaths.set(pageId, `/${this.notionClient.generateSlug(post.category || '')}/${post.slug}`);
+      }
+    }
+
+    for (const post of linkingPosts) {
+      const { html, unresolvedPageIds } = this.contentProcessor.rewritePageLinks(post.content, pagePaths);
+
+      for (const pageId of unresolvedPageIds) {
+        const target = titles.has(pageId)
+          ? `unpublished post "${titles.get(pageId)}"`
+          : `Notion page ${pageId}, which is not a synced post`;
+        logger.warn(`⚠️  "${post.title}" links to ${target}; the link is not published`);
+      }
+
+      if (html !== post.content) {
+        post.content = html;
+        // Protected posts are saved by sync() afterwards
+        if (!post.password) {
+          await this.savePost(post);
+        }
+      }
+    }
+  }
+
   /**
    * Check if a post should be updated
    * @param {Object|null} existingPost - Existing post data
@@ -301,16 +729,57 @@ class NotionSync {
    * @returns {boolean} Whether the post should be updated
    */
   shouldUpdatePost(existingPost, newMetadata) {
-    if (!existingPost) return true;
+    return this.getUpdateReason(existingPost, newMetadata) !== null;
+  }
+
+  /**
+   * Why a post needs processing, for the sync report
+   * @param {Object|null} existingPost - Existing post data
+   * @param {Object} newMetadata - New metadata from Notion
+   * @returns {string|null} Reason, or null when the saved post is up to date
+   */
+  getUpdateReason(existingPost, newMetadata) {
+    if (!existingPost) return 'new post';
     
     // Always update if forced
-    if (this.force) return true;
+    if (this.force) return 'forced sync';
+    
+    // Posts from an older sync link images by their pre-asset-store filenames
+    if (existingPost.syncVersion && existingPost.syncVersion !== SYNC_VERSION) return `sync version ${existingPost.syncVersion} → ${SYNC_VERSION}`;
+
+    // Protected posts stored before encryption moved into sync hold their password and body
+    if (existingPost.password) return 'protected post not yet encrypted';
+
+    // An encrypted body can't have its links to other posts resolved again, so it is re-rendered
+    if (existingPost.protected && existingPost.linksToPages) return 'protected post links to other posts';
+
+    // E.g. a Scheduled post promoted once its date passed
+    if (existingPost.status && existingPost.status !== newMetadata.status) return `status ${existingPost.status} → ${newMetadata.status}`;
+
+    // Re-render posts whose featured image is not yet cached (e.g. synced before caching existed)
+    if ((existingPost.featuredImage || null) !== (newMetadata.featuredImage || null)) return 'featured image changed';
     
     // Check if last edited time is newer
     const existingLastEdited = new Date(existingPost.lastEditedTime);
     const newLastEdited = new Date(newMetadata.lastEditedTime);
     
-    return newLastEdited > existingLastEdited;
+    return newLastEdited > existingLastEdited ? 'edited in Notion' : null;
+  }
+
+  /**
+   * Cache a post's featured image
+   * A dry run downloads nothing and reuses the image cached by the last sync, so it reports the same changes.
+   * @returns {Promise<{featuredImage?: string, featuredImagePicture?: string}>} Fields to merge into the metadata
+   */
+  async getFeaturedImage(metadata, existingPost, pageId) {
+    if (!this.dryRun) {
+      return this.contentProcessor.processFeaturedImage(metadata.featuredImage, metadata.title, pageId);
+    }
+    if (!metadata.featuredImage || !existingPost?.featuredImage) {
+      if (metadata.featuredImage) logger.info(`[DRY RUN] Would cache featured image for: ${metadata.title}`);
+      return {};
+    }
+    return { featuredImage: existingPost.featuredImage, featuredImagePicture: existingPost.featuredImagePicture || null };
   }
 
   /**
@@ -333,7 +802,7 @@ class NotionSync {
   }
 
   /**
-   * Save post data to file system
+   * Save post data to file system, encrypted if it has a password (see lockPost)
    * @param {Object} postData - Complete post data
    */
   async savePost(postData) {
@@ -346,13 +815,14 @@ class NotionSync {
     await fs.ensureDir(postsDir);
     
     const postPath = path.join(postsDir, `${postData.slug}.json`);
+    const storedPost = this.lockPost(postData);
     
     // Save main post data
-    await fs.writeJson(postPath, postData, { spaces: 2 });
+    await fs.writeJson(postPath, storedPost, { spaces: 2 });
     
     // Save HTML content separately for easier reading
     const htmlPath = path.join(postsDir, `${postData.slug}.html`);
-    await fs.writeFile(htmlPath, postData.content);
+    await fs.writeFile(htmlPath, storedPost.content);
     
     logger.debug(`Saved post: ${postPath}`);
   }
@@ -372,7 +842,7 @@ class NotionSync {
     // Sort posts by publish date (newest first)
     const sortedPosts = posts
       .filter(post => post.status === 'Published')
-      .sort((a, b) => new Date(b.publishDate) - new Date(a.publishDate));
+      .sort((a, b) => parseSiteDate(b.publishDate) - parseSiteDate(a.publishDate));
 
     // Generate main posts index
     const postsIndex = {
@@ -380,13 +850,15 @@ class NotionSync {
         id: post.id,
         title: post.title,
         slug: post.slug,
-        excerpt: post.excerpt,
+        excerpt: this.getListingExcerpt(post),
         publishDate: post.publishDate,
         category: post.category,
         tags: post.tags,
         readingTime: post.readingTime,
         wordCount: post.wordCount,
-        featured: post.featured
+        featured: post.featured,
+        visibility: post.visibility,
+        protected: Boolean(post.protected)
       })),
       totalPosts: sortedPosts.length,
       lastUpdated: new Date().toISOString()
@@ -398,21 +870,49 @@ class NotionSync {
       { spaces: 2 }
     );
 
+    // Unlisted posts are only reachable by URL, so categories and tags leave them out
+    const listedPosts = sortedPosts.filter(post => post.visibility !== 'Unlisted');
+
     // Generate category indexes
-    await this.generateCategoryIndexes(sortedPosts);
+    await this.generateCategoryIndexes(listedPosts);
 
     // Generate tags index
-    await this.generateTagsIndex(sortedPosts);
+    await this.generateTagsIndex(listedPosts);
 
-    // Generate scheduled posts preview index
-    const scheduledPosts = posts.filter(post => post.status === 'Scheduled');
-    if (scheduledPosts.length > 0) {
-      await this.generateScheduledIndex(scheduledPosts);
-    }
+    // Generate archived posts index for "retired" pages
+    await this.generateArchivedIndex(posts.filter(post => post.status === 'Archived'));
+
+    // Generate scheduled posts preview index, even when empty so published posts leave it
+    await this.generateScheduledIndex(posts.filter(post => post.status === 'Scheduled'));
 
     logger.success('Generated content indexes');
   }
 
+  /**
+   * Generate the index of archived posts, including the relation to a replacement post
+   * @param {Array} posts - Archived posts
+   */
+  async generateArchivedIndex(posts) {
+    const archivedIndex = {
+      posts: posts.map(post => ({
+        id: post.id,
+        title: post.title,
+        slug: post.slug,
+        category: post.category,
+        replacedBy: post.replacedBy || null,
+        archivedAt: post.lastEditedTime
+      })),
+      totalPosts: posts.length,
+      lastUpdated: new Date().toISOString()
+    };
+
+    await fs.writeJson(
+      path.join(this.contentDir, 'archived-index.json'),
+      archivedIndex,
+      { spaces: 2 }
+    );
+  }
+
   /**
    * Generate category-specific indexes
    * @param {Array} posts - Published posts
@@ -443,7 +943,7 @@ class NotionSync {
           id: post.id,
           title: post.title,
           slug: post.slug,
-          excerpt: post.excerpt,
+          excerpt: this.getListingExcerpt(post),
           publishDate: post.publishDate,
           tags: post.tags,
           readingTime: post.readingTime
@@ -531,15 +1031,16 @@ class NotionSync {
   async generateScheduledIndex(scheduledPosts) {
     const scheduledIndex = {
       posts: scheduledPosts
-        .sort((a, b) => new Date(a.publishDate) - new Date(b.publishDate))
+        .sort((a, b) => parseSiteDate(a.publishDate) - parseSiteDate(b.publishDate))
         .map(post => ({
           id: post.id,
           title: post.title,
           slug: post.slug,
-          excerpt: post.excerpt,
+          excerpt: this.getListingExcerpt(post),
           publishDate: post.publishDate,
           category: post.category,
-          tags: post.tags
+          tags: post.tags,
+          visibility: post.visibility
         })),
       totalScheduled: scheduledPosts.length,
       lastUpdated: new Date().toISOString()
@@ -552,6 +1053,71 @@ class NotionSync {
     );
   }
 
+  /**
+   * Record redirects for published posts whose slug or category changed
+   * content/redirects.json keys post paths by Notion page id, and old paths point at the
+   * page id rather than a URL, so a post renamed twice redirects straight to its latest path
+   * @param {Array} posts - Processed posts
+   * @param {Array<string>} [pageIds] - Ids of every page still in Notion; redirects to other pages are dropped
+   */
+  async updateRedirects(posts, pageIds) {
+    if (this.dryRun) {
+      logger.info('[DRY RUN] Would update redirects');
+      return;
+    }
+
+    const redirectsPath = path.join(this.contentDir, 'redirects.json');
+    const { pages = {}, redirects = {} } = await fs.pathExists(redirectsPath)
+      ? await fs.readJson(redirectsPath)
+      : {};
+    const livePaths = new Set();
+
+    for (const post of posts) {
+      if (!post || post.status !== 'Published') continue;
+
+      const postPath = this.getPostPath(post);
+      const previousPath = pages[post.id];
+      if (previousPath && previousPath !== postPath) {
+        redirects[previousPath] = post.id;
+        this.report.record('renamed', post, `moved from ${previousPath} to ${postPath}`, { from: previousPath, to: postPath });
+        logger.info(`↪️  "${post.title}" moved from ${previousPath} to ${postPath}`);
+      }
+
+      pages[post.id] = postPath;
+      livePaths.add(postPath);
+    }
+
+    if (pageIds) {
+      const currentIds = new Set(pageIds);
+      for (const pageId of Object.keys(pages)) {
+        if (!currentIds.has(pageId)) delete pages[pageId];
+      }
+    }
+
+    // Drop redirects whose page is gone, or whose old path belongs to a post again
+    for (const [from, pageId] of Object.entries(redirects)) {
+      if (!pages[pageId] || livePaths.has(from)) {
+        delete redirects[from];
+      }
+    }
+
+    await fs.writeJson(redirectsPath, { pages, redirects, lastUpdated: new Date().toISOString() }, { spaces: 2 });
+  }
+
+  /**
+   * Excerpt to show in listings; none for password-protected posts, whose excerpt comes from the body
+   */
+  getListingExcerpt(post) {
+    return post.protected ? null : post.excerpt;
+  }
+
+  /**
+   * Site path of a published post
+   */
+  getPostPath(post) {
+    return `/${this.notionClient.generateSlug(post.category || '')}/${post.slug}`;
+  }
+
   /**
    * Clean up old content that no longer exists in Notion
    * @param {Array} currentPosts - Current posts from Notion
@@ -567,6 +1133,7 @@ class NotionSync {
     try {
       const existingFiles = await fs.readdir(postsDir);
       const currentSlugs = new Set(currentPosts.map(post => post.slug));
+      const currentPostsById = new Map(currentPosts.map(post => [post.id, post]));
       
       let deletedCount = 0;
       
@@ -576,10 +1143,13 @@ class NotionSync {
         const slug = path.basename(file, '.json');
         
         if (!currentSlugs.has(slug)) {
+          const oldPost = await fs.readJson(path.join(postsDir, file)).catch(() => ({}));
+
           // Delete both JSON and HTML files
           await fs.remove(path.join(postsDir, file));
           await fs.remove(path.join(postsDir, `${slug}.html`));
           
+          this.reportCleanedUpPost({ ...oldPost, slug }, currentPostsById.get(oldPost.id));
           logger.debug(`Cleaned up old post: ${slug}`);
           deletedCount++;
         }
@@ -594,6 +1164,52 @@ class NotionSync {
     }
   }
 
+  /**
+   * Report a deleted post file: a post whose slug changed is renamed, any other is removed
+   * @param {Object} oldPost - Saved post data
+   * @param {Object} [currentPost] - The same page in this sync
+   */
+  reportCleanedUpPost(oldPost, currentPost) {
+    // Posts that failed this sync lose their file but stay reported as failed
+    if (this.report.getType(oldPost.id) === 'failed') return;
+
+    if (!currentPost) {
+      this.report.record('removed', { ...oldPost, id: oldPost.id || oldPost.slug }, 'no longer in Notion');
+      return;
+    }
+
+    // updateRedirects already reported published posts with their full paths
+    if (this.report.getType(currentPost.id) !== 'renamed') {
+      this.report.record('renamed', currentPost, `slug changed from ${oldPost.slug} to ${currentPost.slug}`, { from: oldPost.slug, to: currentPost.slug });
+    }
+  }
+
+  /**
+   * Write content/sync-report.json, and print it as Markdown when asked
+   * @param {Error} [error] - Error that stopped the sync
+   */
+  async saveReport(error = null) {
+    this.report.finish(error);
+
+    if (this.markdown) {
+      console.log(this.report.toMarkdown());
+    }
+
+    if (this.dryRun) {
+      logger.info('[DRY RUN] Would write sync report');
+      return;
+    }
+
+    try {
+      await fs.writeJson(path.join(this.contentDir, 'sync-report.json'), this.report, { spaces: 2 });
+      if (this.markdown) {
+        await fs.writeFile(path.join(this.contentDir, 'sync-report.md'), this.report.toMarkdown());
+      }
+    } catch (reportError) {
+      logger.warn('Failed to write sync report', reportError);
+    }
+  }
+
   /**
    * Sync a specific post by ID
    * @param {string} pageId - Notion page ID
@@ -605,6 +1221,7 @@ class NotionSync {
     try {
       const page = await this.notionClient.getPage(pageId);
       const processedPost = await this.processPost(page);
+      await this.updateRedirects([processedPost]);
       
       logger.success(`Successfully synced post: ${processedPost.title}`);
       return processedPost;
@@ -614,6 +1231,80 @@ class NotionSync {
       throw error;
     }
   }
+
+  /**
+   * Wait for the next scheduled post's publish time, then sync and build
+   * The time comes from the last build's next-publish.json, or the scheduled index.
+   * Posts further away than maxWait are left to a later run.
+   * @param {Object} [options] - `maxWait` in minutes (default 180, the auto-sync interval)
+   * @returns {Promise<Object|null>} Sync stats (`newlyPublished` counts posts that went live), or null when no post was due
+   */
+  async syncAtNextPublish({ maxWait = 180 } = {}) {
+    if (!Number.isFinite(maxWait) || maxWait < 0) {
+      throw new Error(`maxWait must be a number of minutes, got ${maxWait}`);
+    }
+
+    const next = await this.readNextPublish();
+
+    if (!next) {
+      logger.info('No upcoming scheduled posts');
+      return null;
+    }
+
+    const waitTime = next.publishAt - Date.now();
+    if (waitTime > maxWait * 60 * 1000) {
+      logger.info(`⏳ "${next.post.title}" publishes at ${next.publishAt.toISOString()}, more than ${maxWait} minutes away; leaving it to a later run`);
+      return null;
+    }
+
+    if (waitTime > 0) {
+      logger.info(`⏳ Waiting ${Math.ceil(waitTime / 60000)} minutes for "${next.post.title}" (${next.publishAt.toISOString()})`);
+      await this.wait(waitTime);
+    }
+
+    const stats = await this.sync();
+    if (!this.dryRun) {
+      await this.buildSite();
+    }
+    return stats;
+  }
+
+  /**
+   * Next upcoming publish time and post, or null
+   * @returns {Promise<{post: Object, publishAt: Date}|null>}
+   */
+  async readNextPublish() {
+    const artifactPath = path.join(process.cwd(), config.build.outputDir, 'next-publish.json');
+    const scheduledIndexPath = path.join(this.contentDir, 'scheduled-index.json');
+
+    try {
+      if (await fs.pathExists(artifactPath)) {
+        const { nextPublishAt, post } = await fs.readJson(artifactPath);
+        return nextPublishAt ? { post, publishAt: new Date(nextPublishAt) } : null;
+      }
+      if (await fs.pathExists(scheduledIndexPath)) {
+        const { posts = [] } = await fs.readJson(scheduledIndexPath);
+        return getNextPublish(posts);
+      }
+    } catch (error) {
+      logger.warn('Failed to read the next publish time', error);
+    }
+
+    return null;
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Build the site from the synced content
+   */
+  async buildSite() {
+    // Loaded here, as the build pulls in image tooling a plain sync doesn't need
+    const SiteBuilder = require('./build-site');
+    return new SiteBuilder({ force: this.force }).build();
+  }
 }
 
 /**
@@ -632,6 +1323,28 @@ async function main() {
       case '--dry-run':
         options.dryRun = true;
         break;
+      case '--strict':
+        options.strict = true;
+        break;
+      case '--markdown':
+        options.markdown = true;
+        break;
+      case '--write-back':
+        options.writeBack = true;
+        break;
+      case '--promote-scheduled':
+        options.promoteScheduled = true;
+        break;
+      case '--until-next-publish':
+        options.untilNextPublish = true;
+        break;
+      case '--max-wait':
+        options.maxWait = Number(args[++i]);
+        if (!Number.isFinite(options.maxWait) || options.maxWait < 0) {
+          logger.error(`--max-wait needs a number of minutes, got "${args[i]}"`);
+          process.exit(1);
+        }
+        break;
       case '--post':
         options.postId = args[++i];
         break;
@@ -643,17 +1356,24 @@ async function main() {
 Usage: npm run sync [options]
 
 Options:
-  --force     Force update all posts regardless of edit time
-  --dry-run   Show what would be done without making changes
-  --post ID   Sync only a specific post by ID
-  --debug     Enable debug logging
-  --help      Show this help message
+  --force               Query every post and update all regardless of edit time
+  --dry-run             Show what would be done without making changes
+  --strict              Fail when several posts share a slug
+  --markdown            Print the change report as Markdown (also saved to content/sync-report.md)
+  --write-back          Fill in Reading Time, Word Count, Last Synced and Live URL in Notion
+  --promote-scheduled   Set overdue Scheduled posts to Published in Notion
+  --until-next-publish  Wait for the next scheduled post, then sync and build
+  --max-wait MIN        Longest wait for --until-next-publish, in minutes (default 180)
+  --post ID             Sync only a specific post by ID
+  --debug               Enable debug logging
+  --help                Show this help message
 
 Examples:
   npm run sync
   npm run sync -- --force
   npm run sync -- --post abc123
   npm run sync -- --dry-run --debug
+  npm run sync -- --until-next-publish --max-wait 60
         `);
         process.exit(0);
     }
@@ -664,6 +1384,12 @@ Examples:
     
     if (options.postId) {
       await sync.syncPost(options.postId);
+    } else if (options.untilNextPublish) {
+      const stats = await sync.syncAtNextPublish({ maxWait: options.maxWait });
+      // Lets a workflow deploy only when a post went live
+      if (process.env.GITHUB_OUTPUT) {
+        await fs.appendFile(process.env.GITHUB_OUTPUT, `published=${Boolean(stats && stats.newlyPublished > 0)}\n`);
+      }
     } else {
       await sync.sync();
     }
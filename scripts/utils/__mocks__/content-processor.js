@@ -28,6 +28,12 @@ module.exports = jest.fn().mockImplementation(() => {
     processDivider: jest.fn().mockReturnValue('<hr>'),
     processBookmark: jest.fn().mockReturnValue('<a href="https://example.com">Test bookmark</a>'),
     processEmbed: jest.fn().mockReturnValue('<div class="embed">Test embed</div>'),
+    processToggle: jest.fn().mockReturnValue('<details><summary>Test toggle</summary></details>'),
+    processToDo: jest.fn().mockReturnValue('<div class="notion-todo">Test to-do</div>'),
+    processColumnList: jest.fn().mockReturnValue('<div class="notion-columns"></div>'),
+    processColumn: jest.fn().mockReturnValue('<div class="notion-column"></div>'),
+    processSyncedBlock: jest.fn().mockReturnValue(''),
+    processTableOfContents: jest.fn().mockReturnValue(''),
 
     // Content processing utilities
     extractRichText: jest.fn().mockReturnValue('Test rich text'),
@@ -46,6 +52,7 @@ module.exports = jest.fn().mockImplementation(() => {
     downloadImage: jest.fn().mockResolvedValue('/static/images/downloaded.jpg'),
     getImageExtension: jest.fn().mockReturnValue('.jpg'),
     cleanupUnusedImages: jest.fn().mockResolvedValue(['image1.jpg', 'image2.png']),
+    findUnusedImages: jest.fn().mockResolvedValue([]),
 
     // Content analysis
     calculateReadingTime: jest.fn().mockReturnValue(5),
@@ -59,11 +66,28 @@ module.exports = jest.fn().mockImplementation(() => {
     escapeHtml: jest.fn().mockImplementation((text) => 
       text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
     ),
+    findUnsupportedBlockTypes: jest.fn().mockReturnValue([]),
+    extractPlainText: jest.fn().mockReturnValue('Test text'),
+    parseCodeCaption: jest.fn().mockReturnValue({ filename: '', highlightLines: new Set() }),
+    highlightCode: jest.fn().mockImplementation((code) => code),
+    splitHighlightedLines: jest.fn().mockImplementation((html) => html.split('\n')),
+    getNotionPageId: jest.fn().mockReturnValue(null),
+    normalizePageId: jest.fn().mockImplementation((id) => id),
+    rewritePageLinks: jest.fn().mockImplementation((html) => ({ html, unresolvedPageIds: [] })),
+    processFeaturedImage: jest.fn().mockImplementation(async (imageUrl) => ({ featuredImage: imageUrl, featuredImagePicture: null })),
+    getResponsiveImage: jest.fn().mockResolvedValue(null),
+    getImageProcessor: jest.fn(),
+    getAssetStore: jest.fn(),
+    renderMath: jest.fn().mockReturnValue('<span class="katex">x</span>'),
+    collectMathErrors: jest.fn().mockReturnValue([]),
+    replaceMathWithSource: jest.fn().mockImplementation((html) => html),
 
     // Configuration
     preserveDesign: true,
     enableSyntaxHighlighting: true,
-    enableMathJax: true,
+    enableMath: true,
+    codeTheme: 'warm',
+    codeLineNumbers: false,
     blockProcessors: {}
   };
 
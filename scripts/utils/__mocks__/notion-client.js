@@ -29,6 +29,13 @@ module.exports = jest.fn().mockImplementation((options = {}) => {
   getPublishedPosts: jest.fn().mockResolvedValue([]),
   getScheduledPosts: jest.fn().mockResolvedValue([]),
   getDraftPosts: jest.fn().mockResolvedValue([]),
+  getArchivedPosts: jest.fn().mockResolvedValue([]),
+    getPostsChangedSince: jest.fn().mockResolvedValue([]),
+    getPageIds: jest.fn().mockResolvedValue([]),
+    groupPostsByStatus: jest.fn().mockImplementation(async (pages) => {
+      const withStatus = status => pages.filter(page => mockInstance.getPropertyValue(page.properties?.Status) === status);
+      return { published: withStatus('Published'), scheduled: withStatus('Scheduled'), drafts: withStatus('Draft'), archived: withStatus('Archived') };
+    }),
     getPostsByCategory: jest.fn().mockResolvedValue([]),
 
     // Page and content methods
@@ -40,10 +47,13 @@ module.exports = jest.fn().mockImplementation((options = {}) => {
       }
     }),
   getPageBlocks: jest.fn().mockResolvedValue([]),
+    getBlockChildren: jest.fn().mockResolvedValue([]),
+    getSyncedSourceId: jest.fn().mockReturnValue(null),
     pageToMarkdown: jest.fn().mockResolvedValue('# Test Content'),
 
     // Page operations
     updatePublishDate: jest.fn().mockResolvedValue({}),
+    updatePageFields: jest.fn().mockResolvedValue(null),
 
     // Utility methods
     extractMetadata: jest.fn().mockImplementation((page) => {
@@ -64,6 +74,11 @@ module.exports = jest.fn().mockImplementation((options = {}) => {
         featuredImage: null
       };
     }),
+    withoutProperty: jest.fn().mockImplementation((page, field) => {
+      const properties = { ...page.properties };
+      delete properties[field.charAt(0).toUpperCase() + field.slice(1)];
+      return { ...page, properties };
+    }),
     getPropertyValue: jest.fn().mockImplementation((property) => {
       if (!property) return null;
       
@@ -72,6 +87,8 @@ module.exports = jest.fn().mockImplementation((options = {}) => {
           return property.title?.[0]?.plain_text || null;
         case 'select':
           return property.select?.name || null;
+        case 'status':
+          return property.status?.name || null;
         case 'multi_select':
           return property.multi_select?.map(option => option.name) || [];
         case 'rich_text':
@@ -95,10 +112,13 @@ module.exports = jest.fn().mockImplementation((options = {}) => {
     // Mock configuration
     apiKey: apiKey,
     databaseId: databaseId,
+    blockFetchConcurrency: 3,
     rateLimiter: {
-      requests: 0,
-      resetTime: Date.now() + 60000,
-      maxRequests: 3
+      rate: 3,
+      burst: 5,
+      acquire: jest.fn().mockResolvedValue(),
+      pause: jest.fn(),
+      recordRetry: jest.fn()
     },
     retryConfig: {
       maxRetries: 3,
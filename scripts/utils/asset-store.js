@@ -0,0 +1,236 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const ImageProcessor = require('./image-processor');
+
+// Where stored images are published in the built site
+const PUBLIC_PATH = '/images/notion';
+
+// Stored files are named by content hash; responsive variants add `-{width}.{format}`
+const STORED_FILE_PATTERN = /^([0-9a-f]{16})[-.]/;
+
+/**
+ * Asset Store - Downloaded Notion files kept in content/assets
+ * Lives next to the synced posts rather than in dist/, so images survive cache hits,
+ * single-post syncs and clean builds. The manifest maps each source URL to a content
+ * hash and each hash to its file and the posts referencing it.
+ */
+class AssetStore {
+  constructor(config) {
+    this.rootDir = path.join(process.cwd(), config.build.contentDir, 'assets');
+    this.imagesDir = path.join(this.rootDir, 'images');
+    this.manifestPath = path.join(this.rootDir, 'manifest.json');
+    this.publicPath = PUBLIC_PATH;
+    this.manifest = null;
+    this.manifestLoad = null;
+    this.pending = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Download a Notion-hosted image into the store, unless its source URL is already stored
+   * @param {string} url - Signed Notion file URL
+   * @param {Object} options - `extension` for the stored file and `download(url, path)`
+   * @returns {Promise<string>} Public URL of the stored image
+   */
+  async cacheImage(url, { extension, download }) {
+    // Signed URLs change every hour; the path without the query is stable
+    const sourceUrl = url.split('?')[0];
+
+    if (!this.pending.has(sourceUrl)) {
+      this.pending.set(sourceUrl, this.storeImage(url, sourceUrl, extension, download)
+        .finally(() => this.pending.delete(sourceUrl)));
+    }
+    return this.pending.get(sourceUrl);
+  }
+
+  async storeImage(url, sourceUrl, extension, download) {
+    const manifest = await this.loadManifest();
+    const storedHash = manifest.sources[sourceUrl];
+    const stored = storedHash && manifest.assets[storedHash];
+
+    if (stored && await fs.pathExists(path.join(this.imagesDir, stored.file))) {
+      logger.debug(`Using stored Notion image: ${stored.file}`);
+      return this.getPublicUrl(stored.file);
+    }
+
+    const tempPath = path.join(this.rootDir, `.download-${crypto.createHash('md5').update(sourceUrl).digest('hex')}`);
+    await fs.ensureDir(this.imagesDir);
+
+    try {
+      await download(url, tempPath);
+
+      const hash = ImageProcessor.hashContent(await fs.readFile(tempPath));
+      const existing = manifest.assets[hash];
+      const file = existing ? existing.file : `${hash}${extension}`;
+      const filePath = path.join(this.imagesDir, file);
+
+      // The same image uploaded twice is stored once
+      if (await fs.pathExists(filePath)) {
+        await fs.remove(tempPath);
+      } else {
+        await fs.move(tempPath, filePath, { overwrite: true });
+      }
+
+      manifest.sources[sourceUrl] = hash;
+      manifest.assets[hash] = { file, references: existing ? existing.references : [] };
+      await this.saveManifest();
+
+      logger.info(`Downloaded Notion image: ${file}`);
+      return this.getPublicUrl(file);
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+  }
+
+  getPublicUrl(file) {
+    return `${this.publicPath}/${file}`;
+  }
+
+  /**
+   * Record which stored images an owner's HTML references, replacing its previous references
+   * @param {string} owner - Post id, or `{postId}:{field}` for images outside the post body
+   * @param {string} html - Rendered HTML
+   */
+  async setReferences(owner, html) {
+    const manifest = await this.loadManifest();
+    const hashes = this.findHashes(html);
+    let changed = false;
+
+    for (const [hash, asset] of Object.entries(manifest.assets)) {
+      const referenced = asset.references.includes(owner);
+      if (referenced === hashes.has(hash)) continue;
+
+      asset.references = referenced
+        ? asset.references.filter(reference => reference !== owner)
+        : [...asset.references, owner];
+      changed = true;
+    }
+
+    if (changed) {
+      await this.saveManifest();
+    }
+  }
+
+  /**
+   * Content hashes of stored images linked from HTML, including responsive variants
+   */
+  findHashes(html) {
+    const hashes = new Set();
+    const prefix = `${this.publicPath}/`;
+    let index = (html || '').indexOf(prefix);
+
+    while (index !== -1) {
+      const match = html.slice(index + prefix.length).match(STORED_FILE_PATTERN);
+      if (match) hashes.add(match[1]);
+      index = html.indexOf(prefix, index + prefix.length);
+    }
+    return hashes;
+  }
+
+  /**
+   * Delete stored images no post references any more
+   * @param {Array<string>} [postIds] - Ids of every post still in Notion; references from other posts are dropped first
+   * @returns {Promise<Array<string>>} Deleted filenames
+   */
+  async cleanup(postIds) {
+    const manifest = await this.loadManifest();
+
+    if (postIds) {
+      const activeIds = new Set(postIds);
+      for (const asset of Object.values(manifest.assets)) {
+        asset.references = asset.references.filter(owner => activeIds.has(owner.split(':')[0]));
+      }
+    }
+
+    for (const [hash, asset] of Object.entries(manifest.assets)) {
+      if (asset.references.length === 0) {
+        delete manifest.assets[hash];
+      }
+    }
+    for (const [sourceUrl, hash] of Object.entries(manifest.sources)) {
+      if (!manifest.assets[hash]) {
+        delete manifest.sources[sourceUrl];
+      }
+    }
+
+    // Variants share their original's hash and go with it
+    const deletedFiles = [];
+    for (const file of await this.listFiles()) {
+      const match = file.match(STORED_FILE_PATTERN);
+      if (!match || !manifest.assets[match[1]]) {
+        await fs.remove(path.join(this.imagesDir, file));
+        logger.debug(`Cleaned up unused image: ${file}`);
+        deletedFiles.push(file);
+      }
+    }
+
+    await this.saveManifest();
+    return deletedFiles;
+  }
+
+  /**
+   * Stored files cleanup() would delete, without changing anything
+   * @param {Array<string>} [postIds] - Ids of every post still in Notion
+   * @returns {Promise<Array<string>>} Filenames
+   */
+  async findUnusedFiles(postIds) {
+    const manifest = await this.loadManifest();
+    const activeIds = postIds && new Set(postIds);
+    const isReferenced = asset => asset.references.some(owner => !activeIds || activeIds.has(owner.split(':')[0]));
+
+    return (await this.listFiles()).filter(file => {
+      const match = file.match(STORED_FILE_PATTERN);
+      return !match || !manifest.assets[match[1]] || !isReferenced(manifest.assets[match[1]]);
+    });
+  }
+
+  /**
+   * Filenames currently in the store
+   */
+  async listFiles() {
+    if (!await fs.pathExists(this.imagesDir)) {
+      return [];
+    }
+    return fs.readdir(this.imagesDir);
+  }
+
+  /**
+   * Read the manifest once; concurrent callers share the same object
+   */
+  loadManifest() {
+    if (!this.manifestLoad) {
+      this.manifestLoad = this.readManifest().then(manifest => (this.manifest = manifest));
+    }
+    return this.manifestLoad;
+  }
+
+  async readManifest() {
+    try {
+      if (await fs.pathExists(this.manifestPath)) {
+        const manifest = await fs.readJson(this.manifestPath);
+        if (manifest && manifest.sources && manifest.assets) return manifest;
+      }
+    } catch (error) {
+      logger.warn('Failed to read asset manifest, images will be downloaded again', error);
+    }
+    return { sources: {}, assets: {} };
+  }
+
+  /**
+   * Write the manifest, one write at a time
+   */
+  async saveManifest() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.ensureDir(this.rootDir);
+      await fs.writeJson(this.manifestPath, this.manifest, { spaces: 2 });
+    });
+    return this.saving;
+  }
+}
+
+AssetStore.PUBLIC_PATH = PUBLIC_PATH;
+
+module.exports = AssetStore;
@@ -1,9 +1,40 @@
 const { parse } = require('node-html-parser');
 const marked = require('marked');
+const katex = require('katex');
+const hljs = require('highlight.js');
 const path = require('path');
 const https = require('https');
 const http = require('http');
 const logger = require('./logger');
+const { getNotionPageId, normalizePageId } = require('./link-graph');
+const { replaceMathWithSource } = require('./math-source');
+const ImageProcessor = require('./image-processor');
+const AssetStore = require('./asset-store');
+
+// Placeholder for table_of_contents blocks, replaced once the whole page is rendered
+const TABLE_OF_CONTENTS_MARKER = '<!-- notion-table-of-contents -->';
+
+// Links to other Notion pages, with or without a resolved site href
+const PAGE_LINK_PATTERN = /<a (?:href="[^"]*" )?data-notion-page-id="([0-9a-f-]{36})"/g;
+
+// Rendered width of images in the post column
+const CONTENT_IMAGE_SIZES = '(min-width: 768px) 43vw, 90vw';
+
+// Notion code block languages that highlight.js knows under another name
+const CODE_LANGUAGE_ALIASES = {
+  'plain text': 'plaintext',
+  'c++': 'cpp',
+  'c#': 'csharp',
+  'f#': 'fsharp',
+  'objective-c': 'objectivec',
+  'vb.net': 'vbnet',
+  'visual basic': 'vbnet',
+  'webassembly': 'wasm',
+  'docker': 'dockerfile',
+  'markup': 'xml',
+  'flow': 'javascript',
+  'java/c/c++/c#': 'java'
+};
 
 /**
  * Content processor for converting Notion content to styled HTML
@@ -13,7 +44,9 @@ class ContentProcessor {
   constructor(options = {}) {
     this.preserveDesign = options.preserveDesign !== false;
     this.enableSyntaxHighlighting = options.enableSyntaxHighlighting !== false;
-    this.enableMathJax = options.enableMathJax !== false;
+    this.enableMath = options.enableMath !== false;
+    this.codeTheme = options.codeTheme || 'warm';
+    this.codeLineNumbers = options.codeLineNumbers === true;
     
     // Configure marked for markdown processing
     this.configureMarked();
@@ -34,8 +67,34 @@ class ContentProcessor {
       table: this.processTable.bind(this),
       divider: this.processDivider.bind(this),
       bookmark: this.processBookmark.bind(this),
-      embed: this.processEmbed.bind(this)
+      embed: this.processEmbed.bind(this),
+      toggle: this.processToggle.bind(this),
+      to_do: this.processToDo.bind(this),
+      column_list: this.processColumnList.bind(this),
+      column: this.processColumn.bind(this),
+      synced_block: this.processSyncedBlock.bind(this),
+      table_of_contents: this.processTableOfContents.bind(this)
     };
+
+    // Block types whose processors place rendered children inside their own markup;
+    // children of any other block are rendered as an indented group after it
+    this.nestedChildrenBlockTypes = new Set([
+      'heading_1',
+      'heading_2',
+      'heading_3',
+      'bulleted_list_item',
+      'numbered_list_item',
+      'quote',
+      'callout',
+      'toggle',
+      'to_do',
+      'column_list',
+      'column',
+      'synced_block'
+    ]);
+
+    // Block types whose processors read `block.children` directly (e.g. table rows)
+    this.rawChildrenBlockTypes = new Set(['table']);
   }
 
   /**
@@ -90,23 +149,38 @@ class ContentProcessor {
     
     try {
       // Process content blocks
-      const contentHtml = await this.processBlocks(blocks);
+      const renderedHtml = await this.processBlocks(blocks);
+
+      // Measure text with math reduced to its TeX source rather than KaTeX markup
+      const textHtml = this.replaceMathWithSource(renderedHtml);
       
       // Calculate reading time
-      const readingTime = this.calculateReadingTime(contentHtml);
+      const readingTime = this.calculateReadingTime(textHtml);
       
       // Generate table of contents
-      const tableOfContents = this.generateTableOfContents(contentHtml);
+      const tableOfContents = this.generateTableOfContents(textHtml);
       
       // Extract excerpt if not provided
-      const excerpt = this.extractExcerpt(contentHtml);
+      const excerpt = this.extractExcerpt(textHtml);
+
+      // Fill in Notion "table of contents" blocks now that all headings are known
+      const contentHtml = renderedHtml.split(TABLE_OF_CONTENTS_MARKER)
+        .join(this.renderTableOfContents(tableOfContents));
+
+      // Keep the stored images this post uses until it stops using them
+      if (page.id) {
+        await this.getAssetStore().setReferences(page.id, contentHtml);
+      }
 
       const result = {
         content: contentHtml,
         readingTime,
         tableOfContents,
         excerpt,
-        wordCount: this.countWords(contentHtml)
+        wordCount: this.countWords(textHtml),
+        hasMath: textHtml !== renderedHtml,
+        unsupportedBlockTypes: this.findUnsupportedBlockTypes(blocks),
+        mathErrors: this.collectMathErrors(renderedHtml)
       };
 
       timer();
@@ -176,8 +250,8 @@ class ContentProcessor {
   }
 
   /**
-   * Process a single Notion block
-   * @param {Object} block - Notion block
+   * Process a single Notion block, including any nested children
+   * @param {Object} block - Notion block (children attached by NotionClient.getPageBlocks)
    * @returns {Promise<string>} HTML for the block
    */
   async processBlock(block) {
@@ -188,7 +262,18 @@ class ContentProcessor {
       return '';
     }
 
-    return processor(block);
+    const rendersOwnChildren = this.rawChildrenBlockTypes.has(block.type);
+    const childrenHtml = !rendersOwnChildren && Array.isArray(block.children) && block.children.length > 0
+      ? await this.processBlocks(block.children)
+      : '';
+
+    const html = await processor(block, childrenHtml);
+
+    if (childrenHtml && !this.nestedChildrenBlockTypes.has(block.type)) {
+      return `${html}\n<div class="ml-6">\n${childrenHtml}\n</div>`;
+    }
+
+    return html;
   }
 
   /**
@@ -209,121 +294,132 @@ class ContentProcessor {
   /**
    * Process heading 1 block
    */
-  processHeading1(block) {
+  processHeading1(block, childrenHtml = '') {
     const text = this.extractRichText(block.heading_1.rich_text);
-    const id = this.generateHeadingId(text);
+    const id = this.generateHeadingId(this.extractPlainText(block.heading_1.rich_text));
     
-    return `<h1 id="${id}" class="text-4xl mt-[57px] mb-3 font-serif">${text}</h1>`;
+    return this.wrapToggleableHeading(
+      block.heading_1,
+      `<h1 id="${id}" class="text-4xl mt-[57px] mb-3 font-serif">${text}</h1>`,
+      childrenHtml
+    );
   }
 
   /**
    * Process heading 2 block
    */
-  processHeading2(block) {
+  processHeading2(block, childrenHtml = '') {
     const text = this.extractRichText(block.heading_2.rich_text);
-    const id = this.generateHeadingId(text);
+    const id = this.generateHeadingId(this.extractPlainText(block.heading_2.rich_text));
     
-    return `<h2 id="${id}" class="text-xl mt-[10px] mb-2 font-serif underline underline-offset-4">${text}</h2>`;
+    return this.wrapToggleableHeading(
+      block.heading_2,
+      `<h2 id="${id}" class="text-xl mt-[10px] mb-2 font-serif underline underline-offset-4">${text}</h2>`,
+      childrenHtml
+    );
   }
 
   /**
    * Process heading 3 block
    */
-  processHeading3(block) {
+  processHeading3(block, childrenHtml = '') {
     const text = this.extractRichText(block.heading_3.rich_text);
-    const id = this.generateHeadingId(text);
+    const id = this.generateHeadingId(this.extractPlainText(block.heading_3.rich_text));
     
-    return `<h3 id="${id}" class="text-lg mt-2 mb-2 font-serif font-semibold">${text}</h3>`;
+    return this.wrapToggleableHeading(
+      block.heading_3,
+      `<h3 id="${id}" class="text-lg mt-2 mb-2 font-serif font-semibold">${text}</h3>`,
+      childrenHtml
+    );
+  }
+
+  /**
+   * Wrap a toggleable heading and its children in a disclosure widget
+   * @param {Object} heading - Notion heading payload (heading_1/2/3)
+   * @param {string} headingHtml - Rendered heading
+   * @param {string} childrenHtml - Rendered children
+   * @returns {string} HTML for the heading
+   */
+  wrapToggleableHeading(heading, headingHtml, childrenHtml) {
+    if (!heading.is_toggleable) {
+      return childrenHtml ? `${headingHtml}\n${childrenHtml}` : headingHtml;
+    }
+
+    return `<details class="notion-toggle notion-toggle-heading my-2">
+  <summary class="cursor-pointer">${headingHtml}</summary>
+  <div class="ml-6">${childrenHtml}</div>
+</details>`;
   }
 
   /**
    * Process bulleted list item
    */
-  async processBulletedListItem(block) {
+  processBulletedListItem(block, childrenHtml = '') {
     const text = this.extractRichText(block.bulleted_list_item.rich_text);
-    let listItemHtml = `  <li class="font-serif text-lg">${text}`;
     
-    // Check for nested blocks (like code blocks)
-    if (block.has_children) {
-      try {
-        const NotionClient = require('./notion-client');
-        const client = new NotionClient();
-        const children = await client.getPageBlocks(block.id);
-        
-        for (const child of children) {
-          if (child.type === 'code') {
-            const childHtml = await this.processBlock(child);
-            listItemHtml += childHtml;
-          }
-        }
-      } catch (error) {
-        console.warn(`Failed to process children for list item ${block.id}:`, error.message);
-      }
-    }
-    
-    listItemHtml += `</li>`;
-    return listItemHtml;
+    return `  <li class="font-serif text-lg">${text}${childrenHtml}</li>`;
   }
 
   /**
    * Process numbered list item
    */
-  async processNumberedListItem(block) {
+  processNumberedListItem(block, childrenHtml = '') {
     const text = this.extractRichText(block.numbered_list_item.rich_text);
-    let listItemHtml = `  <li class="font-serif text-lg">${text}`;
     
-    // Check for nested blocks (like code blocks)
-    if (block.has_children) {
-      try {
-        const NotionClient = require('./notion-client');
-        const client = new NotionClient();
-        const children = await client.getPageBlocks(block.id);
-        
-        for (const child of children) {
-          if (child.type === 'code') {
-            const childHtml = await this.processBlock(child);
-            listItemHtml += childHtml;
-          }
-        }
-      } catch (error) {
-        console.warn(`Failed to process children for list item ${block.id}:`, error.message);
-      }
-    }
-    
-    listItemHtml += `</li>`;
-    return listItemHtml;
+    return `  <li class="font-serif text-lg">${text}${childrenHtml}</li>`;
   }
 
   /**
    * Process code block
    */
   processCodeBlock(block) {
-    const code = this.extractRichText(block.code.rich_text);
+    const code = this.extractPlainText(block.code.rich_text);
     const language = block.code.language || 'text';
     
-    return this.renderCodeBlock(code, language);
+    return this.renderCodeBlock(code, language, this.parseCodeCaption(block.code.caption));
+  }
+
+  /**
+   * Read a code block caption as a filename plus highlighted line ranges, e.g. "app.js {3-5,8}"
+   * @param {Array} caption - Notion rich text caption
+   * @returns {{filename: string, highlightLines: Set<number>}}
+   */
+  parseCodeCaption(caption) {
+    const text = this.extractPlainText(caption);
+    const highlightLines = new Set();
+
+    const filename = text.replace(/\{([\d,\s-]+)\}/g, (match, ranges) => {
+      for (const range of ranges.split(',')) {
+        const [start, end = start] = range.split('-').map(n => parseInt(n, 10));
+        if (Number.isNaN(start) || Number.isNaN(end)) continue;
+        for (let line = start; line <= end; line++) highlightLines.add(line);
+      }
+      return '';
+    }).trim();
+
+    return { filename, highlightLines };
   }
 
   /**
    * Process quote block
    */
-  processQuote(block) {
+  processQuote(block, childrenHtml = '') {
     const text = this.extractRichText(block.quote.rich_text);
     
-    return `<blockquote class="border-l-3 border-gray-300 pl-4 my-6 text-gray-700 font-serif text-lg bg-gray-50 py-3 rounded-r-md">${text}</blockquote>`;
+    return `<blockquote class="border-l-3 border-gray-300 pl-4 my-6 text-gray-700 font-serif text-lg bg-gray-50 py-3 rounded-r-md">${text}${childrenHtml}</blockquote>`;
   }
 
   /**
    * Process callout block
    */
-  processCallout(block) {
+  processCallout(block, childrenHtml = '') {
     const text = this.extractRichText(block.callout.rich_text);
     const icon = block.callout.icon?.emoji || '💡';
     
     return `<div class="bg-gray-50 border border-gray-200 p-4 my-6 rounded-lg">
       <div class="flex items-start gap-3">
         <span class="text-lg mt-0.5 flex-shrink-0">${icon}</span>
-        <div class="font-serif text-gray-700 leading-relaxed">${text}</div>
+        <div class="font-serif text-gray-700 leading-relaxed">${text}${childrenHtml}</div>
       </div>
     </div>`;
   }
@@ -353,42 +449,204 @@ class ContentProcessor {
     }
     
     const caption = block.image.caption ? this.extractRichText(block.image.caption) : '';
+    const alt = this.escapeHtml(this.extractPlainText(block.image.caption));
     
     if (!imageUrl) return '';
 
     // Process and cache the image following Notion's recommendations
     const optimizedUrl = await this.processImageUrl(imageUrl);
+    const responsiveImage = await this.getResponsiveImage(optimizedUrl);
     
     const captionHtml = caption ? `<figcaption class="text-center text-sm text-gray-600 mt-2 font-serif">${caption}</figcaption>` : '';
+    const imageClasses = 'mx-auto rounded-lg shadow-md max-w-full h-auto';
+
+    const imageHtml = responsiveImage
+      ? this.getImageProcessor().renderPicture(responsiveImage, { alt, sizes: CONTENT_IMAGE_SIZES, className: imageClasses })
+      : `<img src="${optimizedUrl}" alt="${alt}" class="${imageClasses}" loading="lazy" />`;
     
     return `<figure class="my-8">
-      <img src="${optimizedUrl}" alt="${caption}" class="mx-auto rounded-lg shadow-md max-w-full h-auto" loading="lazy" />
+      ${imageHtml}
       ${captionHtml}
     </figure>`;
   }
 
+  /**
+   * Cache a post's featured image like body images, so hero images and social previews never expire
+   * @param {string|null} imageUrl - Featured Image property URL
+   * @param {string} title - Post title, used as alt text
+   * @param {string} [pageId] - Post the image belongs to, recorded as a reference in the asset store
+   * @returns {Promise<{featuredImage: string, featuredImagePicture: string|null}>}
+   */
+  async processFeaturedImage(imageUrl, title = '', pageId = null) {
+    if (!imageUrl) {
+      // Release the image a post used before its featured image was removed
+      if (pageId) await this.getAssetStore().setReferences(`${pageId}:featuredImage`, '');
+      return {};
+    }
+
+    const featuredImage = await this.processImageUrl(imageUrl);
+    const responsiveImage = await this.getResponsiveImage(featuredImage);
+    const featuredImagePicture = responsiveImage
+      ? this.getImageProcessor().renderPicture(responsiveImage, {
+        alt: this.escapeHtml(title),
+        sizes: CONTENT_IMAGE_SIZES,
+        className: 'mx-auto rounded-lg shadow-md max-w-full h-auto',
+        eager: true
+      })
+      : null;
+
+    if (pageId) {
+      await this.getAssetStore().setReferences(`${pageId}:featuredImage`, `${featuredImage}\n${featuredImagePicture || ''}`);
+    }
+
+    return { featuredImage, featuredImagePicture };
+  }
+
+  /**
+   * Create responsive variants for an image in the asset store
+   * @param {string} publicUrl - URL returned by processImageUrl
+   * @returns {Promise<Object|null>} Image descriptor, or null when the image is served as-is
+   */
+  async getResponsiveImage(publicUrl) {
+    const config = require('../../config/site.config');
+    if (!config.performance.enableImageOptimization || !publicUrl.startsWith(`${AssetStore.PUBLIC_PATH}/`)) {
+      return null;
+    }
+
+    const imageProcessor = this.getImageProcessor();
+    const localPath = path.join(imageProcessor.outputDir, path.basename(publicUrl));
+
+    try {
+      return await imageProcessor.process(localPath);
+    } catch (error) {
+      logger.warn(`Failed to create responsive variants for ${publicUrl}, using original`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Shared processor for responsive variants of stored Notion images
+   * Variants are written next to their originals in the asset store
+   * @returns {ImageProcessor}
+   */
+  getImageProcessor() {
+    if (!this.imageProcessor) {
+      const config = require('../../config/site.config');
+      const assetStore = this.getAssetStore();
+      this.imageProcessor = new ImageProcessor(config, {
+        outputDir: assetStore.imagesDir,
+        publicPath: assetStore.publicPath,
+        manifestPath: path.join(assetStore.rootDir, ImageProcessor.MANIFEST_FILE)
+      });
+    }
+    return this.imageProcessor;
+  }
+
+  /**
+   * Shared store for downloaded Notion files
+   * @returns {AssetStore}
+   */
+  getAssetStore() {
+    if (!this.assetStore) {
+      const config = require('../../config/site.config');
+      this.assetStore = new AssetStore(config);
+    }
+    return this.assetStore;
+  }
+
   /**
    * Process equation block
    */
   processEquation(block) {
     const expression = block.equation.expression;
     
-    return `<div class="my-6 text-center">
-      <span class="font-serif">\\[ ${expression} \\]</span>
+    return `<div class="notion-equation my-6 overflow-x-auto text-center">
+      ${this.renderMath(expression, true)}
     </div>`;
   }
 
+  /**
+   * Render a TeX expression to static HTML with KaTeX
+   * Invalid expressions are shown as source and flagged with `data-math-error`
+   * @param {string} expression - TeX source
+   * @param {boolean} displayMode - Render as a centered display equation
+   * @returns {string} HTML for the expression
+   */
+  renderMath(expression, displayMode = false) {
+    if (!this.enableMath) {
+      return `<code class="font-mono text-sm">${this.escapeHtml(expression)}</code>`;
+    }
+
+    try {
+      return katex.renderToString(expression, { displayMode, throwOnError: true });
+    } catch (error) {
+      return `<code class="notion-math-error font-mono text-sm text-red-700" data-math-error="${this.escapeHtml(error.message)}">${this.escapeHtml(expression)}</code>`;
+    }
+  }
+
+  /**
+   * Collect the messages of expressions that KaTeX could not render
+   * @param {string} html - Rendered page HTML
+   * @returns {Array<string>} Error messages, in document order
+   */
+  collectMathErrors(html) {
+    if (!html.includes('data-math-error')) return [];
+
+    return parse(html)
+      .querySelectorAll('[data-math-error]')
+      .map(element => element.getAttribute('data-math-error'));
+  }
+
+  /**
+   * Replace KaTeX output with its TeX source
+   * @param {string} html - Rendered page HTML
+   * @returns {string} HTML with math reduced to plain text
+   */
+  replaceMathWithSource(html) {
+    return replaceMathWithSource(html);
+  }
+
   /**
    * Process table block
+   * Rows are the block's `table_row` children, fetched with the rest of the block tree
    */
-  processTable() {
-    // Note: Table processing would require additional API calls to get table rows
-    // This is a simplified version
-    return `<div class="my-6 overflow-x-auto">
-      <div class="bg-orange-50 p-4 rounded-lg border">
-        <p class="font-serif text-lg">📊 Table content (processing not yet implemented)</p>
-      </div>
-    </div>`;
+  processTable(block) {
+    const { table_width: width = 0, has_column_header: hasColumnHeader, has_row_header: hasRowHeader } = block.table || {};
+    const rows = (block.children || []).filter(child => child.type === 'table_row');
+
+    if (rows.length === 0) return '';
+
+    const columnCount = Math.max(width, ...rows.map(row => row.table_row?.cells?.length || 0));
+    const renderRow = (row, isHeaderRow) => {
+      const cells = row.table_row?.cells || [];
+      const cellsHtml = Array.from({ length: columnCount }, (_, index) => {
+        const text = this.extractRichText(cells[index] || []);
+
+        if (isHeaderRow) {
+          return `<th scope="col" class="px-3 py-2 text-left font-serif">${text}</th>`;
+        }
+        if (hasRowHeader && index === 0) {
+          return `<th scope="row" class="px-3 py-2 text-left font-serif">${text}</th>`;
+        }
+        return `<td class="px-3 py-2 align-top font-serif">${text}</td>`;
+      }).join('');
+
+      return `<tr>${cellsHtml}</tr>`;
+    };
+
+    const headerRows = hasColumnHeader ? rows.slice(0, 1) : [];
+    const bodyRows = hasColumnHeader ? rows.slice(1) : rows;
+    const theadHtml = headerRows.length > 0
+      ? `\n    <thead>${headerRows.map(row => renderRow(row, true)).join('')}</thead>`
+      : '';
+
+    return `<div class="notion-table-scroller my-6 overflow-x-auto" role="region" aria-label="Table" tabindex="0">
+  <table class="w-full border-collapse text-base">${theadHtml}
+    <tbody>
+      ${bodyRows.map(row => renderRow(row, false)).join('\n      ')}
+    </tbody>
+  </table>
+</div>`;
   }
 
   /**
@@ -424,6 +682,111 @@ class ContentProcessor {
     </div>`;
   }
 
+  /**
+   * Process toggle block as a native disclosure widget
+   */
+  processToggle(block, childrenHtml = '') {
+    const text = this.extractRichText(block.toggle.rich_text);
+
+    return `<details class="notion-toggle my-4 font-serif text-lg">
+  <summary class="cursor-pointer">${text}</summary>
+  <div class="ml-6 mt-2">${childrenHtml}</div>
+</details>`;
+  }
+
+  /**
+   * Process to-do block as a read-only checklist item
+   */
+  processToDo(block, childrenHtml = '') {
+    const text = this.extractRichText(block.to_do.rich_text);
+    const checked = Boolean(block.to_do.checked);
+
+    return `<div class="notion-todo my-2 font-serif text-lg">
+  <label class="flex items-start gap-2">
+    <input type="checkbox" class="mt-1.5" disabled${checked ? ' checked' : ''} aria-checked="${checked}" />
+    <span class="${checked ? 'line-through text-gray-500' : ''}">${text}</span>
+  </label>${childrenHtml ? `\n  <div class="ml-6">${childrenHtml}</div>` : ''}
+</div>`;
+  }
+
+  /**
+   * Process column list block as a responsive grid (stacked on small screens)
+   */
+  processColumnList(block, childrenHtml = '') {
+    const columnCount = Math.min((block.children || []).length || 1, 4);
+
+    return `<div class="notion-columns my-6 grid grid-cols-1 gap-6 md:grid-cols-${columnCount}">
+${childrenHtml}
+</div>`;
+  }
+
+  /**
+   * Process a single column inside a column list
+   */
+  processColumn(block, childrenHtml = '') {
+    return `<div class="notion-column min-w-0">${childrenHtml}</div>`;
+  }
+
+  /**
+   * Process synced block
+   * Duplicates are resolved to the original's children by NotionClient.getPageBlocks
+   */
+  processSyncedBlock(block, childrenHtml = '') {
+    return childrenHtml;
+  }
+
+  /**
+   * Process table of contents block
+   * Emits a marker that processPage replaces with the page's headings
+   */
+  processTableOfContents() {
+    return TABLE_OF_CONTENTS_MARKER;
+  }
+
+  /**
+   * Render table of contents entries as an inline navigation list
+   * @param {Array} tableOfContents - Entries from generateTableOfContents
+   * @returns {string} HTML navigation list
+   */
+  renderTableOfContents(tableOfContents) {
+    if (!tableOfContents || tableOfContents.length === 0) return '';
+
+    const items = tableOfContents.map(entry => {
+      const indent = entry.level > 1 ? ` class="ml-${(entry.level - 1) * 4}"` : '';
+      return `    <li${indent}><a href="${entry.anchor}" class="text-orange-600 hover:text-orange-800 hover:underline">${this.escapeHtml(entry.text)}</a></li>`;
+    }).join('\n');
+
+    return `<nav class="notion-toc my-6 font-serif text-base" aria-label="Table of contents">
+  <ul class="space-y-1">
+${items}
+  </ul>
+</nav>`;
+  }
+
+  /**
+   * Collect block types in a block tree that have no processor
+   * @param {Array} blocks - Notion blocks (with nested children)
+   * @returns {Array<string>} Unsupported block types, sorted
+   */
+  findUnsupportedBlockTypes(blocks) {
+    const unsupported = new Set();
+
+    const walk = (items) => {
+      for (const block of items || []) {
+        if (!this.blockProcessors[block.type]) {
+          unsupported.add(block.type);
+          continue;
+        }
+        if (!this.rawChildrenBlockTypes.has(block.type)) {
+          walk(block.children);
+        }
+      }
+    };
+
+    walk(blocks);
+    return Array.from(unsupported).sort();
+  }
+
   /**
    * Extract rich text content with formatting
    * @param {Array} richText - Notion rich text array
@@ -433,6 +796,10 @@ class ContentProcessor {
     if (!richText || !Array.isArray(richText)) return '';
 
     return richText.map(textObj => {
+      if (textObj.type === 'equation') {
+        return this.renderMath(textObj.equation.expression);
+      }
+
       let text = textObj.plain_text;
       
       // Apply formatting
@@ -446,8 +813,15 @@ class ContentProcessor {
         if (annotations.code) text = `<code class="bg-gray-100 border border-gray-200 px-1.5 py-0.5 rounded font-mono text-sm text-gray-800">${text}</code>`;
       }
       
+      // Links to other Notion pages are resolved to site URLs once every post is synced
+      const pageId = textObj.type === 'mention' && textObj.mention?.type === 'page'
+        ? this.normalizePageId(textObj.mention.page.id)
+        : this.getNotionPageId(textObj.href);
+
       // Handle links
-      if (textObj.href) {
+      if (pageId) {
+        text = `<a href="${textObj.href || ''}" data-notion-page-id="${pageId}" class="text-blue-600 hover:text-blue-800 underline underline-offset-2">${text}</a>`;
+      } else if (textObj.href) {
         text = `<a href="${textObj.href}" class="text-blue-600 hover:text-blue-800 underline underline-offset-2" target="_blank" rel="noopener noreferrer">${text}</a>`;
       }
       
@@ -455,6 +829,57 @@ class ContentProcessor {
     }).join('');
   }
 
+  /**
+   * Get the page id a notion.so or notion.site URL points to
+   * @param {string} url - Link URL
+   * @returns {string|null} Dashed lowercase page id, or null for other URLs
+   */
+  getNotionPageId(url) {
+    return getNotionPageId(url);
+  }
+
+  /**
+   * Normalize a Notion id to the dashed lowercase form the API returns
+   * @param {string} id - Page id with or without dashes
+   * @returns {string} Dashed lowercase id
+   */
+  normalizePageId(id) {
+    return normalizePageId(id);
+  }
+
+  /**
+   * Point links to Notion pages at their site URLs
+   * Links to pages without a URL keep their text but lose their href
+   * @param {string} html - Rendered post HTML
+   * @param {Map<string, string>} pagePaths - Page id → site path (e.g. `/math/some-post`)
+   * @returns {{html: string, unresolvedPageIds: Array<string>}}
+   */
+  rewritePageLinks(html, pagePaths) {
+    const unresolved = new Set();
+
+    const rewritten = html.replace(PAGE_LINK_PATTERN, (match, pageId) => {
+      const sitePath = pagePaths.get(pageId);
+      if (!sitePath) {
+        unresolved.add(pageId);
+        return `<a data-notion-page-id="${pageId}"`;
+      }
+      return `<a href="${sitePath}" data-notion-page-id="${pageId}"`;
+    });
+
+    return { html: rewritten, unresolvedPageIds: Array.from(unresolved) };
+  }
+
+  /**
+   * Extract unformatted text from a rich text array
+   * @param {Array} richText - Notion rich text array
+   * @returns {string} Plain text
+   */
+  extractPlainText(richText) {
+    if (!richText || !Array.isArray(richText)) return '';
+
+    return richText.map(textObj => textObj.plain_text || '').join('');
+  }
+
   /**
    * Generate heading ID for anchors
    * @param {string} text - Heading text
@@ -491,9 +916,10 @@ class ContentProcessor {
    * Render code block with syntax highlighting
    * @param {string} code - Code content
    * @param {string} language - Programming language
+   * @param {Object} options - `filename` title and `highlightLines` (1-based line numbers)
    * @returns {string} HTML for code block
    */
-  renderCodeBlock(code, language) {
+  renderCodeBlock(code, language, options = {}) {
     // Special handling for Mermaid diagrams
     if (language && String(language).toLowerCase() === 'mermaid') {
       // Provide a rendered diagram by default with an optional source toggle
@@ -509,10 +935,77 @@ class ContentProcessor {
 </div>`;
     }
 
+    const { filename = '', highlightLines = new Set() } = options;
+    const isDiff = String(language).toLowerCase() === 'diff';
+    const sourceLines = code.split('\n');
+
+    const lines = this.splitHighlightedLines(this.highlightCode(code, language)).map((line, index) => {
+      const classes = ['code-line'];
+      if (highlightLines.has(index + 1)) classes.push('code-line-highlighted');
+      if (isDiff) {
+        const source = sourceLines[index] || '';
+        if (source.startsWith('+') && !source.startsWith('+++')) classes.push('code-line-added');
+        if (source.startsWith('-') && !source.startsWith('---')) classes.push('code-line-removed');
+      }
+      return `<span class="${classes.join(' ')}">${line}</span>`;
+    });
+
+    const codeClasses = ['hljs', `language-${String(language).replace(/\s+/g, '-')}`];
+    if (this.codeLineNumbers) codeClasses.push('code-line-numbers');
+
+    const title = filename
+      ? `<span class="code-block-filename font-mono">${this.escapeHtml(filename)}</span>`
+      : `<span class="code-block-language">${this.escapeHtml(language)}</span>`;
+
     // Minimalist code block inspired by Notion
-    return `<div class="my-6">
-      <pre class="bg-gray-50 border border-gray-200 text-gray-800 p-4 rounded-lg overflow-x-auto font-mono text-sm leading-relaxed"><code class="language-${language}">${this.escapeHtml(code)}</code></pre>
-    </div>`;
+    return `<figure class="code-block code-theme-${this.codeTheme} my-6">
+      <figcaption class="code-block-header">${title}<button type="button" class="code-copy-button" data-copy-code aria-label="Copy code to clipboard">Copy</button></figcaption>
+      <pre class="bg-gray-50 border border-gray-200 text-gray-800 p-4 rounded-lg overflow-x-auto font-mono text-sm leading-relaxed"><code class="${codeClasses.join(' ')}">${lines.join('\n')}</code></pre>
+    </figure>`;
+  }
+
+  /**
+   * Highlight code into token spans, falling back to escaped text for unknown languages
+   * @param {string} code - Code content
+   * @param {string} language - Notion language name
+   * @returns {string} Highlighted HTML
+   */
+  highlightCode(code, language) {
+    const name = String(language).toLowerCase();
+    const hljsLanguage = CODE_LANGUAGE_ALIASES[name] || name;
+
+    // Diffs are marked per line instead of tokenised
+    if (!this.enableSyntaxHighlighting || name === 'diff' || !hljs.getLanguage(hljsLanguage)) {
+      return this.escapeHtml(code);
+    }
+
+    try {
+      return hljs.highlight(code, { language: hljsLanguage, ignoreIllegals: true }).value;
+    } catch (error) {
+      logger.debug(`Syntax highlighting failed for ${language}: ${error.message}`);
+      return this.escapeHtml(code);
+    }
+  }
+
+  /**
+   * Split highlighted HTML into lines, closing and reopening token spans that cross line breaks
+   * @param {string} html - Highlighted HTML
+   * @returns {Array<string>} One balanced HTML fragment per line
+   */
+  splitHighlightedLines(html) {
+    const openTags = [];
+
+    return html.split('\n').map(line => {
+      const prefix = openTags.join('');
+      for (const tag of line.match(/<span[^>]*>|<\/span>/g) || []) {
+        if (tag === '</span>') {
+          openTags.pop();
+        } else {
+          openTags.push(tag);
+        }
+      }
+      return prefix + line + '</span>'.repeat(openTags.length);
+    });
   }
 
   /**
@@ -556,34 +1049,10 @@ class ContentProcessor {
       // Notion-hosted files (type: file) - using Option B: Smart Caching
       // Note: This violates Notion's "don't cache" recommendation but ensures images never break
       // Perfect for static sites with periodic sync schedules
-      const fs = require('fs-extra');
-      const crypto = require('crypto');
-      const config = require('../../config/site.config');
-
-      // Create stable filename from URL (excluding expiry params)
-      const baseUrl = imageUrl.split('?')[0];
-      const urlHash = crypto.createHash('md5').update(baseUrl).digest('hex');
-      const extension = this.getImageExtension(baseUrl);
-      const filename = `${urlHash}${extension}`;
-      
-      const imagesDir = path.join(process.cwd(), config.build.outputDir, 'images', 'notion');
-      const localPath = path.join(imagesDir, filename);
-      const publicUrl = `/images/notion/${filename}`;
-
-      // Track this image as "in use" for cleanup purposes
-      if (!this.usedImages) this.usedImages = new Set();
-      this.usedImages.add(filename);
-
-      if (await fs.pathExists(localPath)) {
-        logger.debug(`Using cached Notion image: ${filename}`);
-        return publicUrl;
-      }
-
-      await fs.ensureDir(imagesDir);
-      await this.downloadImage(imageUrl, localPath);
-      
-      logger.info(`Downloaded Notion image: ${filename}`);
-      return publicUrl;
+      return await this.getAssetStore().cacheImage(imageUrl, {
+        extension: this.getImageExtension(imageUrl),
+        download: (url, localPath) => this.downloadImage(url, localPath)
+      });
 
     } catch (error) {
       logger.warn(`Failed to process image ${imageUrl}, using original URL`, error);
@@ -654,7 +1123,7 @@ class ContentProcessor {
    * @returns {number} Reading time in minutes
    */
   calculateReadingTime(html) {
-    const text = html.replace(/<[^>]*>/g, ''); // Strip HTML tags
+    const text = this.stripHtml(html);
     const words = text.split(/\s+/).length;
     const wordsPerMinute = 200; // Average reading speed
     
@@ -702,7 +1171,7 @@ class ContentProcessor {
    * @returns {string} Excerpt text
    */
   extractExcerpt(html, maxLength = 200) {
-    const text = html.replace(/<[^>]*>/g, ''); // Strip HTML tags
+    const text = this.stripHtml(html);
     
     if (text.length <= maxLength) return text;
     
@@ -719,6 +1188,20 @@ class ContentProcessor {
     return text.substring(0, lastSpace) + '...';
   }
 
+  /**
+   * Strip HTML tags, keeping adjacent blocks (e.g. paragraphs, table cells) as separate words
+   * Inline tags (links, emphasis, code) are removed without a space so punctuation stays attached.
+   * @param {string} html - HTML content
+   * @returns {string} Plain text with collapsed whitespace
+   */
+  stripHtml(html) {
+    return html
+      .replace(/<\/?(?:p|div|li|td|th|tr|br|hr|h[1-6]|blockquote|pre|figcaption)\b[^>]*>/gi, ' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
   /**
    * Escape HTML characters
    * @param {string} text - Text to escape
@@ -737,44 +1220,22 @@ class ContentProcessor {
   }
 
   /**
-   * Clean up unused cached images (for Option B)
-   * Call this after processing all posts to remove orphaned images
+   * Clean up stored images no post references (for Option B)
+   * Call this after processing all posts; posts served from cache keep their references
+   * @param {Array<string>} [postIds] - Ids of every post still in Notion
+   * @returns {Promise<Array<string>>} Deleted filenames
    */
-  async cleanupUnusedImages() {
-    if (!this.usedImages) {
-      logger.debug('No image tracking enabled, skipping cleanup');
-      return [];
-    }
-
+  async cleanupUnusedImages(postIds) {
     try {
-      const fs = require('fs-extra');
-      const path = require('path');
-      const config = require('../../config/site.config');
-      
-      const imagesDir = path.join(process.cwd(), config.build.outputDir, 'images', 'notion');
-      
-      if (!await fs.pathExists(imagesDir)) {
-        return [];
-      }
-
-      const existingFiles = await fs.readdir(imagesDir);
-      const deletedFiles = [];
-
-      for (const file of existingFiles) {
-        if (!this.usedImages.has(file)) {
-          await fs.remove(path.join(imagesDir, file));
-          logger.debug(`Cleaned up unused image: ${file}`);
-          deletedFiles.push(file);
-        }
-      }
+      const assetStore = this.getAssetStore();
+      const deletedFiles = await assetStore.cleanup(postIds);
 
       if (deletedFiles.length > 0) {
-        logger.info(`Cleaned up ${deletedFiles.length} unused cached images`);
+        logger.info(`Cleaned up ${deletedFiles.length} unused stored images`);
       }
 
-      // Reset for next sync
-      this.usedImages.clear();
-      
+      await this.getImageProcessor().pruneManifest(new Set(await assetStore.listFiles()));
+
       return deletedFiles;
       
     } catch (error) {
@@ -782,6 +1243,20 @@ class ContentProcessor {
       return [];
     }
   }
+
+  /**
+   * Stored images cleanupUnusedImages() would delete, e.g. for a dry run
+   * @param {Array<string>} postIds - Ids of every post still in Notion
+   * @returns {Promise<Array<string>>} Filenames
+   */
+  async findUnusedImages(postIds) {
+    try {
+      return await this.getAssetStore().findUnusedFiles(postIds);
+    } catch (error) {
+      logger.warn('Failed to find unused images', error);
+      return [];
+    }
+  }
 }
 
 module.exports = ContentProcessor; 
\ No newline at end of file
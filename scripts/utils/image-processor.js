@@ -0,0 +1,216 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Animated and vector images are served as-is
+const PASSTHROUGH_EXTENSIONS = new Set(['.gif', '.svg']);
+
+const MIME_TYPES = {
+  webp: 'image/webp',
+  avif: 'image/avif',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+const PLACEHOLDER_WIDTH = 16;
+
+/**
+ * Image Processor - Resizes cached images into responsive variants
+ * Widths come from config.performance.imageSizes, formats from imageFormats.
+ * A manifest keyed by content hash lets unchanged images skip reprocessing.
+ */
+class ImageProcessor {
+  /**
+   * @param {Object} config - Site config
+   * @param {Object} options - `outputDir` for variants, `publicPath` they are served from
+   *   and `manifestPath` (defaults to a manifest inside outputDir)
+   */
+  constructor(config, options = {}) {
+    this.sizes = [...config.performance.imageSizes].sort((a, b) => a - b);
+    this.formats = config.performance.imageFormats;
+    this.lazyLoading = config.performance.enableLazyLoading !== false;
+    this.outputDir = options.outputDir;
+    this.publicPath = options.publicPath;
+    this.manifestPath = options.manifestPath || path.join(this.outputDir, ImageProcessor.MANIFEST_FILE);
+    this.manifest = null;
+    this.manifestLoad = null;
+    this.pending = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load the sharp native module only when an image is actually processed
+   */
+  get sharp() {
+    return require('sharp');
+  }
+
+  /**
+   * Create responsive variants for an image file
+   * @param {string} sourcePath - Path of the original image
+   * @returns {Promise<Object|null>} Image descriptor, or null for images served as-is
+   */
+  async process(sourcePath) {
+    if (PASSTHROUGH_EXTENSIONS.has(path.extname(sourcePath).toLowerCase())) {
+      return null;
+    }
+
+    const hash = ImageProcessor.hashContent(await fs.readFile(sourcePath));
+
+    // Posts processed in parallel may share an image
+    if (!this.pending.has(hash)) {
+      this.pending.set(hash, this.processHash(sourcePath, hash).finally(() => this.pending.delete(hash)));
+    }
+    return this.pending.get(hash);
+  }
+
+  /**
+   * Reuse the manifest entry for a content hash, or generate its variants
+   */
+  async processHash(sourcePath, hash) {
+    const manifest = await this.loadManifest();
+    const existing = manifest.images[hash];
+
+    if (existing && await this.variantsExist(existing)) {
+      logger.debug(`Responsive variants up to date: ${hash}`);
+      return existing;
+    }
+
+    const { width, height } = await this.sharp(sourcePath).metadata();
+    const widths = [...new Set([...this.sizes.filter(size => size < width), Math.min(width, this.sizes[this.sizes.length - 1])])];
+
+    const variants = [];
+    for (const variantWidth of widths) {
+      for (const format of this.formats) {
+        const file = `${hash}-${variantWidth}.${format}`;
+        await this.sharp(sourcePath)
+          .resize({ width: variantWidth })
+          .toFormat(format === 'jpg' ? 'jpeg' : format, { quality: 80 })
+          .toFile(path.join(this.outputDir, file));
+        variants.push({ width: variantWidth, format, file });
+      }
+    }
+
+    const placeholder = await this.sharp(sourcePath)
+      .resize({ width: PLACEHOLDER_WIDTH })
+      .blur()
+      .webp({ quality: 40 })
+      .toBuffer();
+
+    const largest = widths[widths.length - 1];
+    const image = {
+      hash,
+      width: largest,
+      height: Math.round(height * (largest / width)),
+      placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+      variants
+    };
+
+    manifest.images[hash] = image;
+    await this.saveManifest();
+
+    logger.debug(`Generated ${variants.length} responsive variants for ${hash}`);
+    return image;
+  }
+
+  /**
+   * Render `<picture>` markup for a processed image
+   * @param {Object} image - Descriptor from process()
+   * @param {Object} options - `alt`, `sizes` and `className` for the img element; `eager` for above-the-fold images
+   * @returns {string} HTML
+   */
+  renderPicture(image, { alt = '', sizes = '100vw', className = '', eager = false } = {}) {
+    const srcset = (format) => image.variants
+      .filter(variant => variant.format === format)
+      .map(variant => `${this.publicPath}/${variant.file} ${variant.width}w`)
+      .join(', ');
+
+    const [fallbackFormat] = this.formats.slice(-1);
+    const sources = this.formats.slice(0, -1).map(format =>
+      `<source type="${MIME_TYPES[format] || `image/${format}`}" srcset="${srcset(format)}" sizes="${sizes}" />`
+    );
+    const fallback = image.variants.filter(variant => variant.format === fallbackFormat).pop();
+    const loading = eager ? ' fetchpriority="high"' : (this.lazyLoading ? ' loading="lazy"' : '');
+
+    return `<picture>
+        ${sources.join('\n        ')}
+        <img src="${this.publicPath}/${fallback.file}" srcset="${srcset(fallbackFormat)}" sizes="${sizes}" width="${image.width}" height="${image.height}" alt="${alt}" class="${className}"${loading} decoding="async" style="background-image: url('${image.placeholder}'); background-size: cover;" />
+      </picture>`;
+  }
+
+  /**
+   * Files written for a processed image
+   * @param {Object} image - Descriptor from process()
+   * @returns {Array<string>} Filenames relative to outputDir
+   */
+  getFiles(image) {
+    return image ? image.variants.map(variant => variant.file) : [];
+  }
+
+  async variantsExist(image) {
+    for (const file of this.getFiles(image)) {
+      if (!await fs.pathExists(path.join(this.outputDir, file))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Read the manifest once; concurrent callers share the same object
+   */
+  loadManifest() {
+    if (!this.manifestLoad) {
+      this.manifestLoad = this.readManifest().then(manifest => (this.manifest = manifest));
+    }
+    return this.manifestLoad;
+  }
+
+  async readManifest() {
+    try {
+      if (await fs.pathExists(this.manifestPath)) {
+        const manifest = await fs.readJson(this.manifestPath);
+        if (manifest && manifest.images) return manifest;
+      }
+    } catch (error) {
+      logger.warn('Failed to read responsive image manifest, regenerating variants', error);
+    }
+    return { images: {} };
+  }
+
+  /**
+   * Write the manifest, one write at a time
+   */
+  async saveManifest() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.ensureDir(path.dirname(this.manifestPath));
+      await fs.writeJson(this.manifestPath, this.manifest, { spaces: 2 });
+    });
+    return this.saving;
+  }
+
+  /**
+   * Drop manifest entries whose variants are no longer in use
+   * @param {Set<string>} usedFiles - Filenames still referenced
+   */
+  async pruneManifest(usedFiles) {
+    const manifest = await this.loadManifest();
+    for (const [hash, image] of Object.entries(manifest.images)) {
+      if (!this.getFiles(image).some(file => usedFiles.has(file))) {
+        delete manifest.images[hash];
+      }
+    }
+    await this.saveManifest();
+  }
+}
+
+ImageProcessor.MANIFEST_FILE = 'responsive-manifest.json';
+
+/**
+ * Content hash used to name variants
+ * @param {Buffer} buffer - Image file contents
+ * @returns {string} First 16 hex characters of the SHA-256
+ */
+ImageProcessor.hashContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+
+module.exports = ImageProcessor;
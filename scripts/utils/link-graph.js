@@ -0,0 +1,128 @@
+const { parse } = require('node-html-parser');
+const { replaceMathWithSource } = require('./math-source');
+
+// Page ids in notion.so / notion.site URLs: 32 hex characters, optionally dashed
+const NOTION_PAGE_URL_PATTERN = /^https?:\/\/(?:[\w-]+\.)?notion\.(?:so|site)\/[^?#]*?([0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12})(?:[?#].*)?$/i;
+
+// Elements whose text is used as the context around a link
+const CONTEXT_ELEMENTS = new Set(['P', 'LI', 'BLOCKQUOTE', 'TD', 'TH', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'SUMMARY']);
+
+const MAX_CONTEXT_LENGTH = 240;
+
+/**
+ * Normalize a Notion id to the dashed lowercase form the API returns
+ */
+function normalizePageId(id) {
+  const hex = String(id).replace(/-/g, '').toLowerCase();
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Get the page id a notion.so or notion.site URL points to, or null for other URLs
+ */
+function getNotionPageId(url) {
+  const match = typeof url === 'string' && url.match(NOTION_PAGE_URL_PATTERN);
+  return match ? normalizePageId(match[1]) : null;
+}
+
+/**
+ * Reduce a link href to a site path, or null for external links
+ */
+function toSitePath(href, siteUrl) {
+  let url = href;
+  if (siteUrl && url.startsWith(siteUrl)) {
+    url = url.slice(siteUrl.length) || '/';
+  }
+  if (!url.startsWith('/') || url.startsWith('//')) return null;
+
+  return url
+    .replace(/[?#].*$/, '')
+    .replace(/(\/index)?\.html$/, '')
+    .replace(/\/+$/, '') || '/';
+}
+
+/**
+ * The sentence around a link, taken from its nearest paragraph-like ancestor
+ */
+function extractContext(anchor) {
+  let block = anchor.parentNode;
+  while (block && !CONTEXT_ELEMENTS.has(block.tagName)) {
+    block = block.parentNode;
+  }
+
+  const text = (block || anchor).text.replace(/\s+/g, ' ').trim();
+  const linkText = anchor.text.replace(/\s+/g, ' ').trim();
+  const sentences = text.match(/[^.!?]+(?:[.!?]+|$)/g) || [text];
+  const sentence = (sentences.find(s => linkText && s.includes(linkText)) || text).trim();
+
+  return sentence.length > MAX_CONTEXT_LENGTH
+    ? `${sentence.slice(0, MAX_CONTEXT_LENGTH - 1).trimEnd()}…`
+    : sentence;
+}
+
+/**
+ * Build the graph of links between posts
+ * Links are matched by site-relative path, absolute site URL or Notion page id
+ * @param {Array} posts - Full posts with `id`, `title`, `slug`, `category` and `content`
+ * @param {Object} options - `siteUrl` and `slugify(text)` used for category paths
+ * @returns {{nodes: Array, links: Array}} Nodes keyed by post path; links carry the linking sentence
+ */
+function buildLinkGraph(posts, { siteUrl = '', slugify }) {
+  const nodes = posts.map(post => ({
+    path: `/${slugify(post.category)}/${post.slug}`,
+    id: post.id ? normalizePageId(post.id) : null,
+    title: post.title,
+    slug: post.slug,
+    category: post.category
+  }));
+  const nodesByPath = new Map(nodes.map(node => [node.path, node]));
+  const nodesById = new Map(nodes.filter(node => node.id).map(node => [node.id, node]));
+
+  const links = [];
+  posts.forEach((post, index) => {
+    const source = nodes[index];
+    if (!post.content) return;
+
+    // Read equations as their TeX source rather than KaTeX markup
+    const doc = parse(replaceMathWithSource(post.content));
+
+    const seen = new Set();
+    for (const anchor of doc.querySelectorAll('a')) {
+      const href = anchor.getAttribute('href') || '';
+      const pageIdAttr = anchor.getAttribute('data-notion-page-id');
+      const pageId = pageIdAttr ? normalizePageId(pageIdAttr) : getNotionPageId(href);
+
+      const target = (pageId && nodesById.get(pageId)) ||
+        nodesByPath.get(toSitePath(href, siteUrl));
+
+      if (!target || target === source || seen.has(target.path)) continue;
+      seen.add(target.path);
+
+      links.push({ source: source.path, target: target.path, context: extractContext(anchor) });
+    }
+  });
+
+  return {
+    nodes: nodes.map(({ path, title, slug, category }) => ({ path, title, slug, category })),
+    links
+  };
+}
+
+/**
+ * Posts linking to the given path, with the linking sentence
+ * @param {Object} graph - Graph from buildLinkGraph
+ * @param {string} targetPath - Post path, e.g. `/math/groups`
+ * @returns {Array<{path: string, title: string, category: string, context: string}>}
+ */
+function getBacklinks(graph, targetPath) {
+  const nodesByPath = new Map(graph.nodes.map(node => [node.path, node]));
+
+  return graph.links
+    .filter(link => link.target === targetPath)
+    .map(link => {
+      const node = nodesByPath.get(link.source);
+      return { path: node.path, title: node.title, category: node.category, context: link.context };
+    });
+}
+
+module.exports = { buildLinkGraph, getBacklinks, getNotionPageId, normalizePageId };
@@ -0,0 +1,20 @@
+const { parse } = require('node-html-parser');
+
+/**
+ * Replace KaTeX output with its TeX source
+ * Used to measure and read post text without KaTeX markup
+ * @param {string} html - Rendered page HTML
+ * @returns {string} HTML with math reduced to plain text
+ */
+function replaceMathWithSource(html) {
+  if (!html.includes('class="katex')) return html;
+
+  const doc = parse(html);
+  for (const math of doc.querySelectorAll('.katex')) {
+    const annotation = math.querySelector('annotation');
+    math.replaceWith(annotation ? annotation.rawText : '');
+  }
+  return doc.toString();
+}
+
+module.exports = { replaceMathWithSource };
@@ -1,8 +1,81 @@
 const { Client } = require('@notionhq/client');
 const { NotionToMarkdown } = require('notion-to-md');
 const logger = require('./logger');
+const { notionRateLimiter } = require('./rate-limiter');
+const { isDue, parseSiteDate, getSiteToday, addDays, hasTime, toSiteISOString } = require('./site-time');
 const config = require('../../config/site.config');
 
+// Block types whose children are separate pages/databases rather than post content
+const CHILDLESS_BLOCK_TYPES = new Set(['child_page', 'child_database']);
+
+// Notion property holding each post field; overridden by config.notion.properties
+const DEFAULT_PROPERTIES = {
+  title: { name: 'Title', type: 'title' },
+  status: { name: 'Status', type: 'select' },
+  category: { name: 'Category', type: 'select' },
+  publishDate: { name: 'Publish Date', type: 'date' },
+  tags: { name: 'Tags', type: 'multi_select' },
+  slug: { name: 'Slug', type: 'rich_text' },
+  excerpt: { name: 'Excerpt', type: 'rich_text' },
+  featuredImage: { name: 'Featured Image', type: 'files' },
+  featured: { name: 'Featured', type: 'checkbox' },
+  replacedBy: { name: 'Replaced By', type: 'relation' },
+  visibility: { name: 'Visibility', type: 'select' },
+  password: { name: 'Password', type: 'rich_text' },
+  readingTime: { name: 'Reading Time', type: 'number' },
+  wordCount: { name: 'Word Count', type: 'number' },
+  lastSynced: { name: 'Last Synced', type: 'date' },
+  liveUrl: { name: 'Live URL', type: 'url' }
+};
+
+// Status option for each publishing state; overridden by config.notion.statuses
+const DEFAULT_STATUSES = {
+  published: 'Published',
+  scheduled: 'Scheduled',
+  draft: 'Draft',
+  archived: 'Archived'
+};
+
+// Status reported in post metadata for each state, whatever the option is called in Notion
+const STATE_LABELS = {
+  published: 'Published',
+  scheduled: 'Scheduled',
+  draft: 'Draft',
+  archived: 'Archived'
+};
+
+// Fields sync cannot work without
+const REQUIRED_FIELDS = ['title', 'status', 'publishDate'];
+
+/**
+ * A date-time cut to the minute, as Notion stores it; date-only values are returned as-is
+ */
+function toMinutePrecision(value) {
+  if (!hasTime(value)) return value;
+
+  const date = new Date(value);
+  date.setUTCSeconds(0, 0);
+  return date.toISOString();
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<void>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  let nextIndex = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const item = items[nextIndex++];
+      await fn(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
 /**
  * Enhanced Notion client with rate limiting, retries, and error handling
  */
@@ -34,12 +107,21 @@ class NotionClient {
       }
     });
 
-    // Rate limiting configuration
-    this.rateLimiter = {
-      requests: 0,
-      resetTime: Date.now() + 60000, // Reset every minute
-      maxRequests: 3 // Notion allows 3 requests per second
-    };
+    // Token bucket shared by every client, as Notion's limit is per integration
+    this.rateLimiter = options.rateLimiter || notionRateLimiter;
+
+    // Map post fields and publishing states to this database's properties and options
+    this.properties = { ...DEFAULT_PROPERTIES };
+    for (const [field, property] of Object.entries(options.properties || config.notion.properties || {})) {
+      this.properties[field] = { ...DEFAULT_PROPERTIES[field], ...property };
+    }
+    this.statuses = { ...DEFAULT_STATUSES, ...(options.statuses || config.notion.statuses) };
+
+    // Also set Scheduled posts whose date has passed to Published in Notion (never in a dry run)
+    this.promoteScheduled = !options.dryRun && (options.promoteScheduled ?? config.notion.promoteScheduled ?? false);
+
+    // Maximum concurrent requests when walking nested block children
+    this.blockFetchConcurrency = options.blockFetchConcurrency || 3;
 
     // Retry configuration
     this.retryConfig = {
@@ -51,33 +133,16 @@ class NotionClient {
   }
 
   /**
-   * Rate limiting check and wait
+   * Wait for the shared rate limiter before sending a request
    */
   async checkRateLimit() {
-    const now = Date.now();
-    
-    // Reset counter if a minute has passed
-    if (now > this.rateLimiter.resetTime) {
-      this.rateLimiter.requests = 0;
-      this.rateLimiter.resetTime = now + 60000;
-    }
-
-    // If we've hit the limit, wait
-    if (this.rateLimiter.requests >= this.rateLimiter.maxRequests) {
-      const waitTime = this.rateLimiter.resetTime - now;
-      if (waitTime > 0) {
-        logger.debug(`Rate limit reached, waiting ${waitTime}ms`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        this.rateLimiter.requests = 0;
-        this.rateLimiter.resetTime = Date.now() + 60000;
-      }
-    }
-
-    this.rateLimiter.requests++;
+    await this.rateLimiter.acquire();
   }
 
   /**
    * Retry wrapper for API calls
+   * Wraps a single request; 429 responses wait for their Retry-After, and every
+   * client holds off meanwhile.
    * @param {Function} operation - Function to retry
    * @param {string} operationName - Name for logging
    * @returns {Promise} Operation result
@@ -106,10 +171,12 @@ class NotionClient {
         }
 
         if (attempt < this.retryConfig.maxRetries) {
-          const delay = Math.min(
-            this.retryConfig.baseDelay * Math.pow(this.retryConfig.backoffFactor, attempt),
-            this.retryConfig.maxDelay
-          );
+          const delay = this.getRetryDelay(error, attempt);
+
+          if (error.code === 'rate_limited') {
+            this.rateLimiter.pause(delay);
+          }
+          this.rateLimiter.recordRetry();
           
           logger.warn(`${operationName} failed (attempt ${attempt + 1}), retrying in ${delay}ms`, {
             error: error.message,
@@ -125,34 +192,57 @@ class NotionClient {
     throw lastError;
   }
 
+  /**
+   * How long to wait before retrying a failed request
+   * Rate-limited responses wait for their Retry-After; others back off exponentially.
+   * Both add jitter so parallel requests don't retry in lockstep.
+   * @param {Error} error - Error from the Notion client
+   * @param {number} attempt - Zero-based attempt that failed
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(error, attempt) {
+    const backoff = Math.min(
+      this.retryConfig.baseDelay * Math.pow(this.retryConfig.backoffFactor, attempt),
+      this.retryConfig.maxDelay
+    );
+    const headers = error.headers;
+    const retryAfter = Number(headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']));
+
+    if (error.code === 'rate_limited' && retryAfter > 0) {
+      return Math.round(retryAfter * 1000 + Math.random() * this.retryConfig.baseDelay);
+    }
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
   /**
    * Fetch all pages from the database with filtering
-   * @param {Object} filter - Notion filter object
+   * @param {Object} [filter] - Notion filter object; every page when omitted
    * @param {Object} sorts - Notion sorts array
+   * @param {Object} [options] - `filterProperties`: ids of the only properties to return
    * @returns {Promise<Array>} Array of page objects
    */
-  async queryDatabase(filter = {}, sorts = []) {
-    return this.withRetry(async () => {
-      const pages = [];
-      let cursor;
+  async queryDatabase(filter = null, sorts = [], { filterProperties } = {}) {
+    const pages = [];
+    let cursor;
+
+    // Each page of results is its own rate-limited, retried request
+    do {
+      const response = await this.withRetry(() => this.notion.databases.query({
+        database_id: this.databaseId,
+        ...(filter && { filter }),
+        sorts,
+        ...(filterProperties && { filter_properties: filterProperties }),
+        start_cursor: cursor,
+        page_size: 100 // Maximum allowed by Notion
+      }), 'Database query');
+
+      pages.push(...response.results);
+      cursor = response.next_cursor;
       
-      do {
-        const response = await this.notion.databases.query({
-          database_id: this.databaseId,
-          filter,
-          sorts,
-          start_cursor: cursor,
-          page_size: 100 // Maximum allowed by Notion
-        });
-
-        pages.push(...response.results);
-        cursor = response.next_cursor;
-        
-        logger.debug(`Fetched ${response.results.length} pages, total: ${pages.length}`);
-      } while (cursor);
+      logger.debug(`Fetched ${response.results.length} pages, total: ${pages.length}`);
+    } while (cursor);
 
-      return pages;
-    }, 'Database query');
+    return pages;
   }
 
   /**
@@ -166,7 +256,7 @@ class NotionClient {
       return this.notion.pages.update({
         page_id: pageId,
         properties: {
-          'Publish Date': {
+          [this.properties.publishDate.name]: {
             date: {
               start: date
             }
@@ -176,35 +266,130 @@ class NotionClient {
     }, `Update publish date for page ${pageId}`);
   }
 
+  /**
+   * Write post fields to their mapped properties
+   * Properties the page doesn't have and values that haven't changed are skipped, so
+   * a page is only edited (and its last_edited_time bumped) when something changed.
+   * @param {Object} page - Notion page with its current properties
+   * @param {Object} values - Values by post field, e.g. `{ readingTime: 4 }`
+   * @returns {Promise<Object|null>} Updated page, or null when nothing needed writing
+   */
+  async updatePageFields(page, values) {
+    const properties = {};
+
+    for (const [field, value] of Object.entries(values)) {
+      const property = this.getProperty(page, field);
+      if (!property || this.isSamePropertyValue(property, value)) continue;
+
+      properties[this.properties[field].name] = this.toPropertyValue(property.type, value);
+    }
+
+    if (Object.keys(properties).length === 0) {
+      return null;
+    }
+
+    return this.withRetry(async () => {
+      return this.notion.pages.update({
+        page_id: page.id,
+        properties
+      });
+    }, `Update properties for page ${page.id}`);
+  }
+
+  /**
+   * Whether a property already holds a value
+   */
+  isSamePropertyValue(property, value) {
+    const current = property.type === 'number' ? property.number : this.getPropertyValue(property);
+
+    // Compare at Notion's precision, or a value with seconds would never match and be rewritten every sync
+    if (property.type === 'date' && current && value) {
+      return new Date(toMinutePrecision(current)).getTime() === new Date(toMinutePrecision(value)).getTime();
+    }
+    return (current || null) === (value || null);
+  }
+
+  /**
+   * Notion property payload for a value
+   * @param {string} type - Property type
+   * @param {any} value - Value to write
+   * @returns {Object} Property value for pages.update
+   */
+  toPropertyValue(type, value) {
+    switch (type) {
+      case 'number':
+        return { number: value ?? null };
+      case 'date':
+        return { date: value ? { start: toMinutePrecision(value) } : null };
+      case 'url':
+        return { url: value || null };
+      case 'rich_text':
+        return { rich_text: value ? [{ type: 'text', text: { content: String(value) } }] : [] };
+      default:
+        throw new Error(`Cannot write ${type} properties`);
+    }
+  }
+
   /**
    * Get all published posts, auto-setting publish date if missing
    * @returns {Promise<Array>} Published posts
    */
   async getPublishedPosts() {
-    // First, get all posts with Published status (regardless of publish date)
-    const allPublishedFilter = {
-      property: 'Status',
-      select: {
-        equals: 'Published'
-      }
+    // First, get all posts with Published status (regardless of publish date),
+    // plus Scheduled posts whose date has passed
+    const filter = {
+      or: [
+        this.getStatusFilter('published'),
+        {
+          and: [
+            this.getStatusFilter('scheduled'),
+            {
+              property: this.properties.publishDate.name,
+              date: {
+                // A day's margin, as Notion compares dates in UTC; exact times are checked below
+                on_or_before: addDays(getSiteToday(), 1)
+              }
+            }
+          ]
+        }
+      ]
     };
+    const allPublishedPosts = await this.queryDatabase(filter);
+
+    return this.selectPublishedPosts(allPublishedPosts);
+  }
+
+  /**
+   * Keep the Published pages whose publish date has passed, newest first
+   * Dates are compared in the site's time zone (config.site.timezone). Pages without a
+   * publish date get today's date there, in Notion too. Scheduled pages whose date has
+   * passed are promoted to Published.
+   * @param {Array} pages - Pages with Published status, and Scheduled pages that may be due
+   * @returns {Promise<Array>} Published posts
+   */
+  async selectPublishedPosts(pages) {
+    const now = new Date();
+    const isScheduled = post => this.getPropertyValue(this.getProperty(post, 'status')) === this.statuses.scheduled;
+    const allPublishedPosts = pages.filter(post => !isScheduled(post) || isDue(this.getPublishDate(post), now));
+
+    await this.promoteScheduledPosts(allPublishedPosts.filter(isScheduled));
 
-    const allPublishedPosts = await this.queryDatabase(allPublishedFilter);
-    
     // Check for posts without publish dates and auto-set them
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    const today = getSiteToday(now); // YYYY-MM-DD format
     const postsToUpdate = [];
     
+    const publishDateName = this.properties.publishDate.name;
+    
     for (const post of allPublishedPosts) {
-      const publishDate = post.properties['Publish Date']?.date?.start;
+      const publishDate = this.getPublishDate(post);
       
       if (!publishDate) {
-        logger.info(`Auto-setting publish date for: ${this.getPropertyValue(post.properties.Title)}`);
+        logger.info(`Auto-setting publish date for: ${this.getPropertyValue(this.getProperty(post, 'title'))}`);
         try {
           await this.updatePublishDate(post.id, today);
           // Update the post object in memory
-          post.properties['Publish Date'] = {
-            id: post.properties['Publish Date']?.id,
+          post.properties[publishDateName] = {
+            id: post.properties[publishDateName]?.id,
             type: 'date',
             date: {
               start: today,
@@ -224,25 +409,56 @@ class NotionClient {
     }
 
     // Now filter for posts with valid publish dates (including the ones we just set)
-    const validPublishedPosts = allPublishedPosts.filter(post => {
-      const publishDate = post.properties['Publish Date']?.date?.start;
-      if (!publishDate) return false;
-      
-      const publishDateTime = new Date(publishDate);
-      const now = new Date();
-      return publishDateTime <= now;
-    });
+    const validPublishedPosts = allPublishedPosts.filter(post => isDue(this.getPublishDate(post), now));
 
     // Sort by publish date (newest first)
     validPublishedPosts.sort((a, b) => {
-      const dateA = new Date(a.properties['Publish Date'].date.start);
-      const dateB = new Date(b.properties['Publish Date'].date.start);
+      const dateA = parseSiteDate(this.getPublishDate(a));
+      const dateB = parseSiteDate(this.getPublishDate(b));
       return dateB - dateA;
     });
 
     return validPublishedPosts;
   }
 
+  /**
+   * Publish Scheduled pages whose date has passed
+   * The page is marked Published in memory so this sync builds it as published; with
+   * promoteScheduled its status is also set to Published in Notion.
+   * @param {Array} pages - Scheduled pages whose publish date has passed
+   */
+  async promoteScheduledPosts(pages) {
+    const { name, type } = this.properties.status;
+    const published = this.statuses.published;
+
+    for (const page of pages) {
+      const title = this.getPropertyValue(this.getProperty(page, 'title'));
+      logger.info(`📣 Promoting "${title}" to ${published}: scheduled for ${this.getPublishDate(page)}`);
+
+      if (this.promoteScheduled) {
+        try {
+          const updatedPage = await this.withRetry(async () => {
+            return this.notion.pages.update({
+              page_id: page.id,
+              properties: {
+                [name]: { [type]: { name: published } }
+              }
+            });
+          }, `Update status for page ${page.id}`);
+          page.last_edited_time = updatedPage.last_edited_time || page.last_edited_time;
+        } catch (error) {
+          logger.warn(`Failed to set status to ${published} for post ${page.id}`, error);
+        }
+      }
+
+      page.properties[name] = { ...page.properties[name], type, [type]: { name: published } };
+    }
+
+    if (pages.length > 0) {
+      logger.success(`Promoted ${pages.length} scheduled posts to ${published}`);
+    }
+  }
+
   /**
    * Get scheduled posts (to be published in the future)
    * @returns {Promise<Array>} Scheduled posts
@@ -250,16 +466,12 @@ class NotionClient {
   async getScheduledPosts() {
     const filter = {
       and: [
+        this.getStatusFilter('scheduled'),
         {
-          property: 'Status',
-          select: {
-            equals: 'Scheduled'
-          }
-        },
-        {
-          property: 'Publish Date',
+          property: this.properties.publishDate.name,
           date: {
-            after: new Date().toISOString()
+            // A day's margin, as Notion compares dates in UTC; exact times are checked below
+            on_or_after: addDays(getSiteToday(), -1)
           }
         }
       ]
@@ -267,12 +479,14 @@ class NotionClient {
 
     const sorts = [
       {
-        property: 'Publish Date',
+        property: this.properties.publishDate.name,
         direction: 'ascending'
       }
     ];
 
-    return this.queryDatabase(filter, sorts);
+    const now = new Date();
+    const pages = await this.queryDatabase(filter, sorts);
+    return pages.filter(page => !isDue(this.getPublishDate(page), now));
   }
 
   /**
@@ -280,36 +494,196 @@ class NotionClient {
    * @returns {Promise<Array>} Draft posts
    */
   async getDraftPosts() {
+    return this.queryDatabase(this.getStatusFilter('draft'));
+  }
+
+  /**
+   * Get archived posts, which keep their URL as a "retired" page
+   * @returns {Promise<Array>} Archived posts
+   */
+  async getArchivedPosts() {
+    return this.queryDatabase(this.getStatusFilter('archived'));
+  }
+
+  /**
+   * Get pages that may have changed since the last sync, whatever their status
+   * That is pages edited since `since`, plus pages whose Publish Date passed since the
+   * last sync, since a post going live on its date is not an edit
+   * @param {string} since - Newest last_edited_time seen by the last sync
+   * @param {string} lastSyncedAt - ISO timestamp of the last sync
+   * @returns {Promise<Array>} Changed pages
+   */
+  async getPostsChangedSince(since, lastSyncedAt) {
     const filter = {
-      property: 'Status',
-      select: {
-        equals: 'Draft'
-      }
+      or: [
+        {
+          timestamp: 'last_edited_time',
+          last_edited_time: {
+            on_or_after: since
+          }
+        },
+        {
+          and: [
+            {
+              property: this.properties.publishDate.name,
+              date: {
+                // Whole days with a day's margin, as Notion compares dates in UTC
+                on_or_after: addDays(lastSyncedAt.split('T')[0], -1)
+              }
+            },
+            {
+              property: this.properties.publishDate.name,
+              date: {
+                on_or_before: addDays(getSiteToday(), 1)
+              }
+            }
+          ]
+        }
+      ]
     };
 
     return this.queryDatabase(filter);
   }
 
+  /**
+   * Get the id of every page in the database, without fetching their properties
+   * Deleted pages drop out of this list but never show up as edited
+   * @returns {Promise<Array<string>>} Page ids
+   */
+  async getPageIds() {
+    // The title property always has the id "title"
+    const pages = await this.queryDatabase(null, [], { filterProperties: ['title'] });
+    return pages.map(page => page.id);
+  }
+
+  /**
+   * Group pages the way the status queries would return them
+   * Lets an incremental sync classify pages it did not query again
+   * @param {Array} pages - Pages of any status
+   * @returns {Promise<{published: Array, scheduled: Array, drafts: Array, archived: Array}>} Pages by status
+   */
+  async groupPostsByStatus(pages) {
+    const withStatus = state => pages.filter(page => this.getPropertyValue(this.getProperty(page, 'status')) === this.statuses[state]);
+    const publishDate = page => this.getPublishDate(page);
+    const now = new Date();
+
+    const upcoming = withStatus('scheduled')
+      .filter(page => publishDate(page) && !isDue(publishDate(page), now))
+      .sort((a, b) => parseSiteDate(publishDate(a)) - parseSiteDate(publishDate(b)));
+
+    return {
+      published: await this.selectPublishedPosts([...withStatus('published'), ...withStatus('scheduled')]),
+      scheduled: upcoming,
+      drafts: withStatus('draft'),
+      archived: withStatus('archived')
+    };
+  }
+
+  /**
+   * Filter matching pages in a publishing state, for select or native status properties
+   * @param {string} state - published, scheduled, draft or archived
+   * @returns {Object} Notion filter
+   */
+  getStatusFilter(state) {
+    const { name, type } = this.properties.status;
+    return {
+      property: name,
+      [type]: {
+        equals: this.statuses[state]
+      }
+    };
+  }
+
+  /**
+   * Get the Notion property mapped to a post field
+   * The title falls back to the database's title property, whatever it is called
+   * @param {Object} page - Notion page
+   * @param {string} field - Field name from config.notion.properties
+   * @returns {Object|undefined} Notion property
+   */
+  getProperty(page, field) {
+    const properties = page.properties || {};
+    const property = properties[this.properties[field].name];
+
+    if (!property && field === 'title') {
+      return Object.values(properties).find(candidate => candidate.type === 'title');
+    }
+    return property;
+  }
+
+  /**
+   * Copy of a page without one property, e.g. to store it without its Password
+   * @param {Object} page - Notion page
+   * @param {string} field - Field name from config.notion.properties
+   * @returns {Object} Page without that property
+   */
+  withoutProperty(page, field) {
+    const properties = { ...page.properties };
+    delete properties[this.properties[field].name];
+    return { ...page, properties };
+  }
+
+  getPublishDate(page) {
+    const property = this.getProperty(page, 'publishDate');
+    const start = this.getPropertyValue(property);
+
+    // Times entered with a time zone come without an offset; pin them to that zone
+    if (hasTime(start) && property.date?.time_zone && !/(Z|[+-]\d{2}:\d{2})$/.test(start)) {
+      return toSiteISOString(parseSiteDate(start, property.date.time_zone));
+    }
+    return start;
+  }
+
+  /**
+   * Publishing state label for a Notion status option
+   * Options outside config.notion.statuses are returned unchanged
+   */
+  getStateLabel(option) {
+    const state = Object.keys(this.statuses).find(key => this.statuses[key] === option);
+    return state && STATE_LABELS[state] ? STATE_LABELS[state] : option;
+  }
+
+  /**
+   * Warn about mapped properties that are missing from the database or of another type
+   * @param {Object} databaseProperties - Properties from the database schema, by name
+   * @returns {Array<string>} Problems found
+   */
+  checkPropertyMapping(databaseProperties) {
+    const problems = [];
+
+    for (const [field, { name, type }] of Object.entries(this.properties)) {
+      const property = databaseProperties[name] ||
+        (field === 'title' ? Object.values(databaseProperties).find(candidate => candidate.type === 'title') : undefined);
+
+      if (!property) {
+        if (REQUIRED_FIELDS.includes(field)) {
+          problems.push(`Notion property "${name}" for ${field} was not found; set notion.properties.${field}.name in site.config.js`);
+        }
+      } else if (property.type !== type) {
+        problems.push(`Notion property "${name}" for ${field} is a ${property.type} property, not ${type}; set notion.properties.${field}.type in site.config.js`);
+      }
+    }
+
+    for (const problem of problems) {
+      logger.warn(`⚠️  ${problem}`);
+    }
+    return problems;
+  }
+
   /**
    * Get posts by category
    * @param {string} category - Category name
    * @returns {Promise<Array>} Posts in category
    */
   async getPostsByCategory(category) {
+    const { name, type } = this.properties.category;
     const filter = {
       and: [
         {
-          property: 'Category',
-          select: {
-            equals: category
-          }
+          property: name,
+          [type]: type === 'multi_select' ? { contains: category } : { equals: category }
         },
-        {
-          property: 'Status',
-          select: {
-            equals: 'Published'
-          }
-        }
+        this.getStatusFilter('published')
       ]
     };
 
@@ -328,28 +702,76 @@ class NotionClient {
   }
 
   /**
-   * Get page content blocks
+   * Get page content as a block tree
+   * Nested children are fetched level by level and attached as `block.children`
    * @param {string} pageId - Page ID
-   * @returns {Promise<Array>} Array of blocks
+   * @returns {Promise<Array>} Array of top-level blocks with nested children
    */
   async getPageBlocks(pageId) {
-    return this.withRetry(async () => {
-      const blocks = [];
-      let cursor;
+    const blocks = await this.getBlockChildren(pageId);
+    let level = blocks;
+
+    while (level.length > 0) {
+      const parents = level.filter(block =>
+        (block.has_children || this.getSyncedSourceId(block)) && !CHILDLESS_BLOCK_TYPES.has(block.type)
+      );
+      if (parents.length === 0) break;
+
+      logger.debug(`Fetching children for ${parents.length} nested blocks in page ${pageId}`);
+      await mapWithConcurrency(parents, this.blockFetchConcurrency, async (block) => {
+        const sourceId = this.getSyncedSourceId(block);
+
+        if (!sourceId) {
+          block.children = await this.getBlockChildren(block.id);
+          return;
+        }
+
+        // Duplicate synced blocks render the content of their original block
+        try {
+          block.children = await this.getBlockChildren(sourceId);
+        } catch (error) {
+          logger.warn(`Could not resolve synced block ${block.id} (original ${sourceId})`, { error: error.message });
+          block.children = [];
+        }
+      });
+
+      level = parents.flatMap(block => block.children);
+    }
 
-      do {
-        const response = await this.notion.blocks.children.list({
-          block_id: pageId,
-          start_cursor: cursor,
-          page_size: 100
-        });
+    return blocks;
+  }
 
-        blocks.push(...response.results);
-        cursor = response.next_cursor;
-      } while (cursor);
+  /**
+   * Get the original block ID for a duplicate synced block
+   * @param {Object} block - Notion block
+   * @returns {string|null} Original block ID, or null for any other block
+   */
+  getSyncedSourceId(block) {
+    if (block.type !== 'synced_block') return null;
+    return block.synced_block?.synced_from?.block_id || null;
+  }
 
-      return blocks;
-    }, `Get blocks for page ${pageId}`);
+  /**
+   * Get the direct children of a block (or page)
+   * @param {string} blockId - Block or page ID
+   * @returns {Promise<Array>} Array of child blocks
+   */
+  async getBlockChildren(blockId) {
+    const blocks = [];
+    let cursor;
+
+    do {
+      const response = await this.withRetry(() => this.notion.blocks.children.list({
+        block_id: blockId,
+        start_cursor: cursor,
+        page_size: 100
+      }), `Get children for block ${blockId}`);
+
+      blocks.push(...response.results);
+      cursor = response.next_cursor;
+    } while (cursor);
+
+    return blocks;
   }
 
   /**
@@ -370,24 +792,32 @@ class NotionClient {
    * @returns {Object} Extracted metadata
    */
   extractMetadata(page) {
-    const properties = page.properties;
-    
     try {
       const metadata = {
         id: page.id,
-        title: this.getPropertyValue(properties.Title || properties.title || properties.Name),
-        status: this.getPropertyValue(properties.Status),
-        category: this.getPropertyValue(properties.Category),
-        publishDate: this.getPropertyValue(properties['Publish Date']),
-        tags: this.getPropertyValue(properties.Tags) || [],
-        slug: this.getPropertyValue(properties.Slug),
-        excerpt: this.getPropertyValue(properties.Excerpt),
-        featuredImage: this.getPropertyValue(properties['Featured Image']),
-        featured: this.getPropertyValue(properties.Featured) || false,
+        title: this.getPropertyValue(this.getProperty(page, 'title')),
+        status: this.getStateLabel(this.getPropertyValue(this.getProperty(page, 'status'))),
+        category: this.getPropertyValue(this.getProperty(page, 'category')),
+        publishDate: this.getPublishDate(page),
+        tags: this.getPropertyValue(this.getProperty(page, 'tags')) || [],
+        slug: this.getPropertyValue(this.getProperty(page, 'slug')),
+        excerpt: this.getPropertyValue(this.getProperty(page, 'excerpt')),
+        featuredImage: this.getPropertyValue(this.getProperty(page, 'featuredImage'))?.[0]?.url || null,
+        featured: this.getPropertyValue(this.getProperty(page, 'featured')) || false,
+        replacedBy: this.getPropertyValue(this.getProperty(page, 'replacedBy'))?.[0] || null,
+        visibility: this.getPropertyValue(this.getProperty(page, 'visibility')) || 'Public',
+        password: this.getPropertyValue(this.getProperty(page, 'password')) || null,
         createdTime: page.created_time,
         lastEditedTime: page.last_edited_time
       };
 
+      // Extra fields mapped in config.notion.properties, e.g. a Series relation or Authors people
+      for (const field of Object.keys(this.properties)) {
+        if (!(field in DEFAULT_PROPERTIES) && !(field in metadata)) {
+          metadata[field] = this.getPropertyValue(this.getProperty(page, field));
+        }
+      }
+
       // Generate slug from title if not provided
       if (!metadata.slug && metadata.title) {
         metadata.slug = this.generateSlug(metadata.title);
@@ -424,6 +854,8 @@ class NotionClient {
         return property.rich_text?.map(t => t.plain_text).join('') || '';
       case 'select':
         return property.select?.name || null;
+      case 'status':
+        return property.status?.name || null;
       case 'multi_select':
         return property.multi_select?.map(s => s.name) || [];
       case 'date':
@@ -431,7 +863,7 @@ class NotionClient {
       case 'checkbox':
         return property.checkbox || false;
       case 'files':
-        return property.files?.[0]?.file?.url || property.files?.[0]?.external?.url || null;
+        return property.files?.map(file => ({ name: file.name || null, url: file.file?.url || file.external?.url || null })) || [];
       case 'number':
         return property.number || 0;
       case 'url':
@@ -440,12 +872,65 @@ class NotionClient {
         return property.email || null;
       case 'phone_number':
         return property.phone_number || null;
+      case 'relation':
+        return property.relation?.map(page => page.id) || [];
+      case 'people':
+        return property.people?.map(person => this.getPerson(person)) || [];
+      case 'created_by':
+        return this.getPerson(property.created_by);
+      case 'last_edited_by':
+        return this.getPerson(property.last_edited_by);
+      case 'created_time':
+        return property.created_time || null;
+      case 'last_edited_time':
+        return property.last_edited_time || null;
+      case 'unique_id':
+        if (!property.unique_id || property.unique_id.number == null) return null;
+        // Shown as e.g. "POST-12" in Notion when the property has a prefix
+        return property.unique_id.prefix
+          ? `${property.unique_id.prefix}-${property.unique_id.number}`
+          : property.unique_id.number;
+      case 'formula':
+        return this.getComputedValue(property.formula);
+      case 'rollup':
+        if (property.rollup?.type === 'array') {
+          return property.rollup.array.map(item => this.getPropertyValue(item));
+        }
+        return this.getComputedValue(property.rollup);
       default:
         logger.warn(`Unknown property type: ${property.type}`);
         return null;
     }
   }
 
+  /**
+   * Value of a formula or non-array rollup result
+   * @param {Object} result - `{type, [type]: value}` from Notion
+   * @returns {string|number|boolean|null} Value; dates give their start
+   */
+  getComputedValue(result) {
+    if (!result) return null;
+
+    switch (result.type) {
+      case 'string':
+      case 'number':
+      case 'boolean':
+        return result[result.type] ?? null;
+      case 'date':
+        return result.date?.start || null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * A Notion user as `{id, name, avatarUrl}`; names are only shared with integrations that can read user info
+   */
+  getPerson(user) {
+    if (!user) return null;
+    return { id: user.id, name: user.name || null, avatarUrl: user.avatar_url || null };
+  }
+
   /**
    * Generate a URL-friendly slug from title
    * @param {string} title - Post title
@@ -466,9 +951,11 @@ class NotionClient {
    */
   async testConnection() {
     try {
-      await this.withRetry(async () => {
-        await this.notion.databases.retrieve({ database_id: this.databaseId });
+      const database = await this.withRetry(async () => {
+        return this.notion.databases.retrieve({ database_id: this.databaseId });
       }, 'Test connection');
+
+      this.checkPropertyMapping(database.properties || {});
       
       logger.success('Notion connection test successful');
       return true;
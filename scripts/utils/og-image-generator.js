@@ -94,6 +94,41 @@ class OGImageGenerator {
     }
   }
 
+  /**
+   * Generate OG image for tag listing pages
+   * @param {Object} tag - Tag data with name, slug and count
+   * @returns {Promise<string>} - Relative path to generated image
+   */
+  async generateTagImage(tag) {
+    const filename = `tag-${tag.slug}.png`;
+    const outputPath = path.join(this.outputDir, filename);
+    const relativePath = `/og-images/${filename}`;
+
+    if (await fs.pathExists(outputPath)) {
+      return relativePath;
+    }
+
+    try {
+      const background = await this.createGradientBackground();
+      const contentOverlay = await this.createCategoryContentOverlay({
+        name: `#${tag.name}`,
+        description: `${tag.count} ${tag.count === 1 ? 'post' : 'posts'} tagged ${tag.name}`
+      });
+
+      await background
+        .composite([{ input: contentOverlay, top: 0, left: 0 }])
+        .png()
+        .toFile(outputPath);
+
+      logger.debug(`Generated tag OG image: ${filename}`);
+      return relativePath;
+
+    } catch (error) {
+      logger.error(`Failed to generate tag OG image for ${tag.slug}`, error);
+      return this.getFallbackImage();
+    }
+  }
+
   /**
    * Generate default/fallback OG image for the site
    * @returns {Promise<string>} - Relative path to generated image
@@ -310,13 +345,13 @@ class OGImageGenerator {
   /**
    * Clean up old OG images that are no longer needed
    */
-  async cleanupOldImages(currentSlugs = []) {
+  async cleanupOldImages(currentSlugs = [], prefix = 'post-') {
     try {
       const files = await fs.readdir(this.outputDir);
-      const ogFiles = files.filter(file => file.startsWith('post-') && file.endsWith('.png'));
-      
+      const ogFiles = files.filter(file => file.startsWith(prefix) && file.endsWith('.png'));
+
       for (const file of ogFiles) {
-        const slug = file.replace('post-', '').replace('.png', '');
+        const slug = file.replace(prefix, '').replace('.png', '');
         if (!currentSlugs.includes(slug)) {
           await fs.remove(path.join(this.outputDir, file));
           logger.debug(`Cleaned up old OG image: ${file}`);
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// PBKDF2-SHA256 rounds; readers pay this once per unlock, guessers once per guess
+const DEFAULT_ITERATIONS = 600000;
+
+/**
+ * Encrypt a post body for unlocking in the browser (src/static/js/unlock.js)
+ * AES-256-GCM with a key derived from the passphrase by PBKDF2-SHA256. The GCM tag
+ * is appended to the ciphertext, which is the layout WebCrypto's decrypt() expects.
+ * Given the same salt, passphrase and body the output is the same, so re-encrypting an
+ * unchanged post leaves its page unchanged.
+ * @param {string} html - Rendered post body
+ * @param {string} passphrase - Passphrase readers enter
+ * @param {Object} [options] - `iterations` for PBKDF2, `salt` (base64) to reuse from an earlier encryption
+ * @returns {{ciphertext: string, iv: string, salt: string, iterations: number}} Base64 values and iterations
+ */
+function encryptContent(html, passphrase, { iterations = DEFAULT_ITERATIONS, salt: previousSalt } = {}) {
+  const salt = previousSalt ? Buffer.from(previousSalt, 'base64') : crypto.randomBytes(16);
+  const key = crypto.pbkdf2Sync(passphrase.normalize('NFC'), salt, iterations, 32, 'sha256');
+
+  // Keyed hash of the body: stable for an unchanged body, and never reused for a different one
+  const ivKey = crypto.createHmac('sha256', key).update('iv').digest();
+  const iv = crypto.createHmac('sha256', ivKey).update(html).digest().subarray(0, 12);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(html, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+  return {
+    ciphertext: ciphertext.toString('base64'),
+    iv: iv.toString('base64'),
+    salt: salt.toString('base64'),
+    iterations
+  };
+}
+
+module.exports = { encryptContent, DEFAULT_ITERATIONS };
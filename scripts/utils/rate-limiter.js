@@ -0,0 +1,97 @@
+const config = require('../../config/site.config');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket rate limiter
+ * Tokens refill continuously at `requestsPerSecond` up to `burst`; each request takes one.
+ * Waiting callers are served in order, and pause() holds everyone back, e.g. after a 429.
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options - `requestsPerSecond` and `burst`; `now` and `sleep` can be replaced in tests
+   */
+  constructor({ requestsPerSecond = 3, burst = 3, now = Date.now, sleep: wait = sleep } = {}) {
+    this.rate = requestsPerSecond;
+    this.burst = burst;
+    this.now = now;
+    this.sleep = wait;
+    this.tokens = burst;
+    this.lastRefill = now();
+    this.blockedUntil = 0;
+    this.queue = Promise.resolve();
+    this.resetMetrics();
+  }
+
+  /**
+   * Wait until a request may be sent
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    const turn = this.queue.then(() => this.take());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async take() {
+    const startedAt = this.now();
+
+    for (;;) {
+      this.refill();
+      const blockedFor = this.blockedUntil - this.now();
+      if (blockedFor <= 0 && this.tokens >= 1) break;
+
+      const refillTime = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+      await this.sleep(Math.max(blockedFor, refillTime, 1));
+    }
+
+    this.tokens -= 1;
+    this.metrics.requests++;
+
+    const waited = this.now() - startedAt;
+    if (waited > 0) {
+      this.metrics.throttled++;
+      this.metrics.waitTime += waited;
+    }
+  }
+
+  refill() {
+    const now = this.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Hold back every request for a while, e.g. for a 429's Retry-After
+   * @param {number} ms - Milliseconds to wait
+   */
+  pause(ms) {
+    this.blockedUntil = Math.max(this.blockedUntil, this.now() + ms);
+    this.tokens = 0;
+    this.metrics.rateLimited++;
+  }
+
+  /**
+   * Count a retried request
+   */
+  recordRetry() {
+    this.metrics.retries++;
+  }
+
+  /**
+   * @returns {{requests: number, throttled: number, waitTime: number, rateLimited: number, retries: number}}
+   *   Requests sent, how many had to wait and for how long in total (ms), 429 responses and retries
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  resetMetrics() {
+    this.metrics = { requests: 0, throttled: 0, waitTime: 0, rateLimited: 0, retries: 0 };
+  }
+}
+
+// Notion limits requests per integration, so every NotionClient shares one bucket
+const notionRateLimiter = new TokenBucket(config.notion.rateLimit);
+
+module.exports = { TokenBucket, notionRateLimiter };
@@ -0,0 +1,159 @@
+const { format } = require('date-fns');
+const config = require('../../config/site.config');
+
+// YYYY-MM-DD with an optional time, but no offset
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+/**
+ * The site's time zone (config.site.timezone), UTC when not set
+ */
+function getSiteTimezone() {
+  return (config.site && config.site.timezone) || 'UTC';
+}
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(date, timeZone = getSiteTimezone()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds (e.g. +5:30 for Asia/Kolkata)
+ */
+function getTimezoneOffset(date, timeZone = getSiteTimezone()) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - (date.getTime() - date.getUTCMilliseconds());
+}
+
+/**
+ * Parse a date the way the site means it
+ * Notion date-only values, and times without an offset, are wall-clock times in the
+ * site's time zone: "2024-03-05" goes live at midnight there, not at midnight UTC.
+ * @param {string|Date|number} value - ISO date, date-time, Date or timestamp
+ * @param {string} [timeZone] - Time zone for values without an offset
+ * @returns {Date|null} The instant, or null for empty values
+ */
+function parseSiteDate(value, timeZone = getSiteTimezone()) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'string') return new Date(value);
+
+  const match = value.match(LOCAL_DATE_TIME);
+  if (!match) return new Date(value);
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, ms = '0'] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, Number(ms.padEnd(3, '0')));
+
+  // The offset at the wall-clock time, corrected once in case it falls across a DST change
+  const guess = wallClock - getTimezoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimezoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Whether a publish date has arrived in the site's time zone
+ * @param {string} value - Publish date
+ * @param {Date} [now] - Current time
+ */
+function isDue(value, now = new Date()) {
+  const date = parseSiteDate(value);
+  return Boolean(date) && date <= now;
+}
+
+/**
+ * The scheduled post that goes live next
+ * @param {Array} posts - Posts with a `publishDate`
+ * @param {Date} [now] - Current time
+ * @returns {{post: Object, publishAt: Date}|null} Post and its publish time, or null when none is upcoming
+ */
+function getNextPublish(posts, now = new Date()) {
+  return posts
+    .map(post => ({ post, publishAt: parseSiteDate(post.publishDate) }))
+    .filter(({ publishAt }) => publishAt && publishAt > now)
+    .sort((a, b) => a.publishAt - b.publishAt)[0] || null;
+}
+
+/**
+ * Whether a date value includes a time of day
+ */
+function hasTime(value) {
+  return typeof value === 'string' && value.includes('T');
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in the site's time zone
+ * @param {Date} [now] - Current time
+ */
+function getSiteToday(now = new Date()) {
+  const { year, month, day } = getZonedParts(now);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Move a YYYY-MM-DD date by whole days
+ */
+function addDays(day, days) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Format a date as the site's clock shows it, with date-fns tokens
+ * Zone tokens (e.g. "z") are not supported, as date-fns only knows the server's zone.
+ * @param {string|Date} value - Date to format
+ * @param {string} formatStr - date-fns format
+ * @returns {string} Formatted date
+ */
+function formatSiteDate(value, formatStr) {
+  const date = parseSiteDate(value);
+  const { year, month, day, hour, minute, second } = getZonedParts(date);
+  return format(new Date(year, month - 1, day, hour, minute, second), formatStr);
+}
+
+/**
+ * Date-time with the site's offset, e.g. "2024-03-05T09:00:00+05:30"
+ * @param {string|Date} value - Date to convert
+ * @returns {string} ISO 8601 date-time
+ */
+function toSiteISOString(value) {
+  const date = parseSiteDate(value);
+  const offset = getTimezoneOffset(date) / 60000;
+  const sign = offset < 0 ? '-' : '+';
+  const pad = n => String(Math.floor(Math.abs(n))).padStart(2, '0');
+  const { year, month, day, hour, minute, second } = getZonedParts(date);
+
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${sign}${pad(offset / 60)}:${pad(offset % 60)}`;
+}
+
+module.exports = {
+  getSiteTimezone,
+  getTimezoneOffset,
+  parseSiteDate,
+  isDue,
+  getNextPublish,
+  hasTime,
+  getSiteToday,
+  addDays,
+  formatSiteDate,
+  toSiteISOString
+};
@@ -0,0 +1,135 @@
+// Change types in the order they are reported
+const CHANGE_TYPES = ['added', 'updated', 'renamed', 'removed', 'failed', 'unchanged'];
+
+const HEADINGS = {
+  added: '🆕 Added',
+  updated: '✏️ Updated',
+  renamed: '↪️ Renamed',
+  removed: '🗑️ Removed',
+  failed: '❌ Failed',
+  unchanged: '⚡ Unchanged'
+};
+
+/**
+ * Sync Report - What a sync changed, post by post
+ * Written to content/sync-report.json so workflows can describe a sync in commit
+ * messages and deploy notes. Each post appears under one change type; recording a
+ * post again moves it, e.g. from added to renamed once its old file is found.
+ */
+class SyncReport {
+  constructor({ dryRun = false } = {}) {
+    this.dryRun = dryRun;
+    this.startedAt = new Date().toISOString();
+    this.finishedAt = null;
+    this.error = null;
+    this.changes = Object.fromEntries(CHANGE_TYPES.map(type => [type, []]));
+  }
+
+  /**
+   * Record a change to a post
+   * @param {string} type - One of added, updated, renamed, removed, failed, unchanged
+   * @param {Object} post - Post or metadata with `id`, `title`, `slug` and `status`
+   * @param {string} [reason] - Why the post changed
+   * @param {Object} [details] - Extra fields, e.g. `from` and `to` for renames
+   */
+  record(type, post, reason = null, details = {}) {
+    if (!this.changes[type]) {
+      throw new Error(`Unknown sync change type: ${type}`);
+    }
+
+    this.remove(post.id);
+    this.changes[type].push({
+      id: post.id,
+      title: post.title || null,
+      slug: post.slug || null,
+      status: post.status || null,
+      reason,
+      ...details
+    });
+  }
+
+  /**
+   * Forget a post, e.g. when a later step supersedes its entry
+   */
+  remove(id) {
+    for (const type of CHANGE_TYPES) {
+      this.changes[type] = this.changes[type].filter(entry => entry.id !== id);
+    }
+  }
+
+  /**
+   * Change type a post was recorded under, or null
+   */
+  getType(id) {
+    return CHANGE_TYPES.find(type => this.changes[type].some(entry => entry.id === id)) || null;
+  }
+
+  /**
+   * Mark the sync as finished
+   * @param {Error} [error] - Error that stopped the sync
+   */
+  finish(error = null) {
+    this.finishedAt = new Date().toISOString();
+    this.error = error ? error.message : null;
+  }
+
+  getSummary() {
+    return Object.fromEntries(CHANGE_TYPES.map(type => [type, this.changes[type].length]));
+  }
+
+  /**
+   * Whether anything other than unchanged posts was recorded
+   */
+  hasChanges() {
+    return CHANGE_TYPES.some(type => type !== 'unchanged' && this.changes[type].length > 0);
+  }
+
+  toJSON() {
+    return {
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      dryRun: this.dryRun,
+      error: this.error,
+      summary: this.getSummary(),
+      ...this.changes
+    };
+  }
+
+  /**
+   * Render the report as Markdown for commit messages, deploy notes and job summaries
+   * Unchanged posts are only counted.
+   * @returns {string} Markdown
+   */
+  toMarkdown() {
+    const summary = this.getSummary();
+    const lines = [`## Notion sync${this.dryRun ? ' (dry run)' : ''}`, ''];
+
+    if (this.error) {
+      lines.push(`**Sync failed:** ${this.error}`, '');
+    }
+
+    lines.push(CHANGE_TYPES.map(type => `${summary[type]} ${type}`).join(' · '), '');
+
+    for (const type of CHANGE_TYPES) {
+      if (type === 'unchanged' || this.changes[type].length === 0) continue;
+
+      lines.push(`### ${HEADINGS[type]}`, '');
+      for (const entry of this.changes[type]) {
+        const title = entry.title ? `**${entry.title}**` : '_Untitled_';
+        const reason = entry.reason ? ` — ${entry.reason}` : '';
+        lines.push(`- ${title} (\`${entry.id}\`)${reason}`);
+      }
+      lines.push('');
+    }
+
+    if (!this.hasChanges()) {
+      lines.push('No changes.', '');
+    }
+
+    return lines.join('\n');
+  }
+}
+
+SyncReport.CHANGE_TYPES = CHANGE_TYPES;
+
+module.exports = SyncReport;
@@ -0,0 +1,54 @@
+(function(){
+  // Reverses scripts/utils/post-encryption.js: PBKDF2-SHA256 key, AES-256-GCM with the tag appended
+  function fromBase64(value){
+    return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+  }
+
+  async function decrypt(payload, passphrase){
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase.normalize('NFC')), 'PBKDF2', false, ['deriveKey']
+    );
+    const key = await crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: fromBase64(payload.salt), iterations: Number(payload.iterations), hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['decrypt']
+    );
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+  }
+
+  function init(){
+    document.querySelectorAll('[data-protected-post]').forEach(function(container){
+      const form = container.querySelector('[data-unlock-form]');
+      const error = container.querySelector('[data-unlock-error]');
+      const button = form.querySelector('button');
+
+      form.addEventListener('submit', async function(event){
+        event.preventDefault();
+        error.hidden = true;
+        button.disabled = true;
+
+        try {
+          const html = await decrypt(container.dataset, form.elements.passphrase.value);
+          container.insertAdjacentHTML('afterend', html);
+          container.remove();
+          document.dispatchEvent(new CustomEvent('post-unlocked'));
+        } catch (e) {
+          // A wrong password fails GCM authentication
+          error.hidden = false;
+          button.disabled = false;
+        }
+      });
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,151 @@
+// Mock dependencies
+jest.mock('fs-extra');
+jest.mock('../scripts/utils/logger');
+
+const path = require('path');
+const AssetStore = require('../scripts/utils/asset-store');
+const ImageProcessor = require('../scripts/utils/image-processor');
+const fs = require('fs-extra');
+
+const mockConfig = { build: { contentDir: 'content' } };
+
+describe('AssetStore', () => {
+  let store;
+  let files;
+  let download;
+
+  const signedUrl = (name, signature = 'a') =>
+    `https://prod-files-secure.s3.us-west-2.amazonaws.com/space/${name}?X-Amz-Signature=${signature}`;
+  const hashOf = (contents) => ImageProcessor.hashContent(Buffer.from(contents));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    files = {};
+    fs.pathExists = jest.fn().mockImplementation(async (file) => file in files || Object.keys(files).some(f => f.startsWith(`${file}/`)));
+    fs.readFile = jest.fn().mockImplementation(async (file) => Buffer.from(files[file]));
+    fs.readJson = jest.fn().mockImplementation(async (file) => files[file]);
+    fs.writeJson = jest.fn().mockImplementation(async (file, data) => { files[file] = JSON.parse(JSON.stringify(data)); });
+    fs.ensureDir = jest.fn().mockResolvedValue();
+    fs.move = jest.fn().mockImplementation(async (from, to) => { files[to] = files[from]; delete files[from]; });
+    fs.remove = jest.fn().mockImplementation(async (file) => { delete files[file]; });
+    fs.readdir = jest.fn().mockImplementation(async (dir) => Object.keys(files)
+      .filter(file => path.dirname(file) === dir)
+      .map(file => path.basename(file)));
+
+    download = jest.fn().mockImplementation(async (url, localPath) => {
+      files[localPath] = url.includes('copy') || url.includes('hero') ? 'hero bytes' : 'other bytes';
+    });
+
+    store = new AssetStore(mockConfig);
+  });
+
+  describe('cacheImage', () => {
+    it('should store images under their content hash in content/assets', async () => {
+      const publicUrl = await store.cacheImage(signedUrl('hero.png'), { extension: '.png', download });
+
+      const hash = hashOf('hero bytes');
+      expect(store.imagesDir).toBe(path.join(process.cwd(), 'content', 'assets', 'images'));
+      expect(publicUrl).toBe(`/images/notion/${hash}.png`);
+      expect(files[path.join(store.imagesDir, `${hash}.png`)]).toBe('hero bytes');
+
+      const manifest = files[store.manifestPath];
+      expect(manifest.sources['https://prod-files-secure.s3.us-west-2.amazonaws.com/space/hero.png']).toBe(hash);
+      expect(manifest.assets[hash]).toEqual({ file: `${hash}.png`, references: [] });
+    });
+
+    it('should not download again when the signed URL changes', async () => {
+      await store.cacheImage(signedUrl('hero.png', 'a'), { extension: '.png', download });
+      const publicUrl = await store.cacheImage(signedUrl('hero.png', 'b'), { extension: '.png', download });
+
+      expect(download).toHaveBeenCalledTimes(1);
+      expect(publicUrl).toBe(`/images/notion/${hashOf('hero bytes')}.png`);
+    });
+
+    it('should share one download between concurrent requests', async () => {
+      await Promise.all([
+        store.cacheImage(signedUrl('hero.png', 'a'), { extension: '.png', download }),
+        store.cacheImage(signedUrl('hero.png', 'b'), { extension: '.png', download })
+      ]);
+
+      expect(download).toHaveBeenCalledTimes(1);
+    });
+
+    it('should store identical uploads once', async () => {
+      const first = await store.cacheImage(signedUrl('hero.png'), { extension: '.png', download });
+      const second = await store.cacheImage(signedUrl('hero-copy.png'), { extension: '.png', download });
+
+      expect(second).toBe(first);
+      expect(await store.listFiles()).toEqual([`${hashOf('hero bytes')}.png`]);
+    });
+
+    it('should remove the partial download when it fails', async () => {
+      download.mockImplementationOnce(async (url, localPath) => {
+        files[localPath] = 'partial';
+        throw new Error('Failed to download image: 403');
+      });
+
+      await expect(store.cacheImage(signedUrl('hero.png'), { extension: '.png', download })).rejects.toThrow('403');
+      expect(Object.keys(files).filter(file => file.includes('.download-'))).toEqual([]);
+    });
+  });
+
+  describe('references and cleanup', () => {
+    let heroHash;
+    let otherHash;
+
+    beforeEach(async () => {
+      await store.cacheImage(signedUrl('hero.png'), { extension: '.png', download });
+      await store.cacheImage(signedUrl('other.png'), { extension: '.png', download });
+      heroHash = hashOf('hero bytes');
+      otherHash = hashOf('other bytes');
+      files[path.join(store.imagesDir, `${otherHash}-400.webp`)] = 'variant';
+    });
+
+    it('should record references from rendered HTML, including responsive variants', async () => {
+      await store.setReferences('post-1', `<img src="/images/notion/${heroHash}.png">`);
+      await store.setReferences('post-2', `<source srcset="/images/notion/${otherHash}-400.webp 400w">`);
+
+      const { assets } = files[store.manifestPath];
+      expect(assets[heroHash].references).toEqual(['post-1']);
+      expect(assets[otherHash].references).toEqual(['post-2']);
+    });
+
+    it('should replace an owner\'s previous references', async () => {
+      await store.setReferences('post-1', `<img src="/images/notion/${heroHash}.png">`);
+      await store.setReferences('post-1', `<img src="/images/notion/${otherHash}.png">`);
+
+      const { assets } = files[store.manifestPath];
+      expect(assets[heroHash].references).toEqual([]);
+      expect(assets[otherHash].references).toEqual(['post-1']);
+    });
+
+    it('should keep images still referenced by any post and delete the rest with their variants', async () => {
+      await store.setReferences('post-1', `<img src="/images/notion/${heroHash}.png">`);
+
+      const deleted = await store.cleanup(['post-1']);
+
+      expect(deleted.sort()).toEqual([`${otherHash}-400.webp`, `${otherHash}.png`]);
+      expect(await store.listFiles()).toEqual([`${heroHash}.png`]);
+      expect(Object.values(files[store.manifestPath].sources)).toEqual([heroHash]);
+    });
+
+    it('should drop references from posts no longer in Notion', async () => {
+      await store.setReferences('post-1', `<img src="/images/notion/${heroHash}.png">`);
+      await store.setReferences('deleted-post:featuredImage', `/images/notion/${otherHash}.png`);
+
+      await store.cleanup(['post-1']);
+
+      expect(Object.keys(files[store.manifestPath].assets)).toEqual([heroHash]);
+    });
+
+    it('should list what cleanup would delete without deleting it', async () => {
+      await store.setReferences('post-1', `<img src="/images/notion/${heroHash}.png">`);
+
+      const unused = await store.findUnusedFiles(['post-1']);
+
+      expect(unused.sort()).toEqual([`${otherHash}-400.webp`, `${otherHash}.png`]);
+      expect((await store.listFiles()).sort()).toEqual([`${heroHash}.png`, `${otherHash}-400.webp`, `${otherHash}.png`].sort());
+    });
+  });
+});
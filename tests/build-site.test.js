@@ -117,14 +117,16 @@ describe('SiteBuilder', () => {
     it('should load all template files', async () => {
       await siteBuilder.loadTemplates();
 
-      // base, home, blog-list, blog-post, 404
-      expect(fs.readFile).toHaveBeenCalledTimes(5);
-      expect(mockHandlebars.compile).toHaveBeenCalledTimes(5);
+      // base, home, blog-list, blog-post, tag-index, 404, archived
+      expect(fs.readFile).toHaveBeenCalledTimes(7);
+      expect(mockHandlebars.compile).toHaveBeenCalledTimes(7);
       expect(siteBuilder.templates).toHaveProperty('base');
       expect(siteBuilder.templates).toHaveProperty('home');
       expect(siteBuilder.templates).toHaveProperty('blog-list');
       expect(siteBuilder.templates).toHaveProperty('blog-post');
+      expect(siteBuilder.templates).toHaveProperty('tag-index');
       expect(siteBuilder.templates).toHaveProperty('404');
+      expect(siteBuilder.templates).toHaveProperty('archived');
     });
 
     it('should warn about missing templates', async () => {
@@ -193,6 +195,20 @@ describe('SiteBuilder', () => {
       expect(content.publishedPosts).toEqual([]);
       expect(content.scheduledPosts).toEqual([]);
     });
+
+    it('should keep unlisted posts apart from the published ones', async () => {
+      fs.readJson.mockResolvedValue({
+        posts: [
+          { id: '1', title: 'Post 1', category: 'Tech', visibility: 'Public' },
+          { id: '2', title: 'Preview', category: 'Tech', visibility: 'Unlisted' }
+        ]
+      });
+
+      const content = await siteBuilder.loadContent();
+
+      expect(content.publishedPosts.map(post => post.id)).toEqual(['1']);
+      expect(content.unlistedPosts.map(post => post.id)).toEqual(['2']);
+    });
   });
 
   describe('copyStaticAssets', () => {
@@ -234,6 +250,102 @@ describe('SiteBuilder', () => {
     });
   });
 
+  describe('content assets', () => {
+    it('should publish the asset store under /images/notion', async () => {
+      fs.readdir = jest.fn().mockResolvedValue(['0123456789abcdef.png', '0123456789abcdef-400.webp']);
+
+      const assets = await siteBuilder.getContentAssets();
+
+      expect(assets).toEqual([
+        { file: path.join(process.cwd(), 'content', 'assets', 'images', '0123456789abcdef.png'), relativePath: path.join('images', 'notion', '0123456789abcdef.png') },
+        { file: path.join(process.cwd(), 'content', 'assets', 'images', '0123456789abcdef-400.webp'), relativePath: path.join('images', 'notion', '0123456789abcdef-400.webp') }
+      ]);
+    });
+
+    it('should remove published images no longer in the asset store', async () => {
+      fs.readdir = jest.fn().mockResolvedValue(['0123456789abcdef.png', 'fedcba9876543210.png']);
+      fs.remove = jest.fn().mockResolvedValue();
+
+      await siteBuilder.removeStaleContentAssets([{ relativePath: path.join('images', 'notion', '0123456789abcdef.png') }]);
+
+      expect(fs.remove).toHaveBeenCalledTimes(1);
+      expect(fs.remove).toHaveBeenCalledWith(path.join(siteBuilder.outputDir, 'images', 'notion', 'fedcba9876543210.png'));
+    });
+  });
+
+  describe('redirects and archived posts', () => {
+    const content = {
+      publishedPosts: [
+        { id: 'page-1', title: 'Group Theory', slug: 'group-theory', category: 'Math' },
+        { id: 'page-2', title: 'Groups', slug: 'groups', category: 'Algebra' }
+      ],
+      archivedPosts: [
+        { id: 'page-4', title: 'Old Groups Notes', slug: 'groups-notes', category: 'Math', replacedBy: 'page-1' },
+        { id: 'page-5', title: 'Fields', slug: 'fields', category: 'Math', replacedBy: null },
+        { id: 'page-6', title: 'Reused', slug: 'groups', category: 'Algebra', replacedBy: null }
+      ],
+      categories: []
+    };
+
+    beforeEach(() => {
+      fs.ensureDir = jest.fn().mockResolvedValue();
+      fs.writeJson = jest.fn().mockResolvedValue();
+      fs.remove = jest.fn().mockResolvedValue();
+      fs.readJson = jest.fn().mockResolvedValue({
+        pages: { 'page-1': '/math/group-theory', 'page-2': '/algebra/groups', 'page-3': '/math/fields' },
+        redirects: { '/math/groups': 'page-1', '/math/old-groups': 'page-1', '/math/old-fields': 'page-3' }
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.VERCEL;
+    });
+
+    it('should write meta-refresh stubs for redirects to published posts', async () => {
+      const rules = await siteBuilder.generateRedirects(content);
+
+      const stubs = fs.writeFile.mock.calls.map(([file]) => path.relative(siteBuilder.outputDir, file));
+      expect(stubs).toEqual([path.join('math', 'groups.html'), path.join('math', 'old-groups.html')]);
+      expect(rules).toEqual([
+        { source: '/math/groups', destination: '/math/group-theory' },
+        { source: '/math/old-groups', destination: '/math/group-theory' }
+      ]);
+      expect(fs.writeFile.mock.calls[0][1]).toContain('<meta http-equiv="refresh" content="0; url=/math/group-theory">');
+      expect(fs.writeFile.mock.calls[0][1]).toContain('<link rel="canonical" href="https://test.com/math/group-theory">');
+    });
+
+    it('should render retired pages outside the post paths, linking the replacement', async () => {
+      siteBuilder.templates = {
+        base: jest.fn(data => `<base>${data.content}</base>`),
+        archived: jest.fn(data => `retired:${data.title}:${data.replacement ? data.replacement.path : ''}`)
+      };
+
+      const gonePaths = await siteBuilder.generateArchivedPages(content);
+
+      expect(gonePaths).toEqual(['/math/groups-notes', '/math/fields']);
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        path.join(siteBuilder.outputDir, 'gone', 'math', 'groups-notes.html'),
+        '<base>retired:Old Groups Notes:/math/group-theory</base>'
+      );
+      expect(fs.remove).toHaveBeenCalledWith(path.join(siteBuilder.outputDir, 'math', 'groups-notes.html'));
+      expect(siteBuilder.templates.base).toHaveBeenCalledWith(expect.objectContaining({ noindex: true, canonicalPath: '/math/group-theory' }));
+    });
+
+    it('should write the redirect map for the missing-post function', async () => {
+      process.env.VERCEL = '1';
+
+      await siteBuilder.generateRedirects(content);
+
+      expect(fs.writeJson).toHaveBeenCalledWith(
+        path.join(siteBuilder.outputDir, 'redirects.json'),
+        { '/math/groups': '/math/group-theory', '/math/old-groups': '/math/group-theory' },
+        expect.any(Object)
+      );
+      // On Vercel a stub at the old path would be served instead of the 308
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
   describe('generateHomePage', () => {
     beforeEach(() => {
       siteBuilder.templates = {
@@ -270,6 +382,19 @@ describe('SiteBuilder', () => {
         expect.any(String)
       );
     });
+
+    it('should leave unlisted posts out of the scheduled preview', async () => {
+      await siteBuilder.generateHomePage({
+        publishedPosts: [],
+        scheduledPosts: [
+          { id: '4', title: 'Coming Soon', visibility: 'Public' },
+          { id: '5', title: 'For Friends First', visibility: 'Unlisted' }
+        ]
+      });
+
+      const { scheduledPosts } = siteBuilder.templates.home.mock.calls[0][0];
+      expect(scheduledPosts.map(post => post.id)).toEqual(['4']);
+    });
   });
 
   describe('generateBlogPages', () => {
@@ -370,6 +495,50 @@ describe('SiteBuilder', () => {
         })
       );
     });
+
+    it('should pass backlinks to each post and write the link graph', async () => {
+      const posts = {
+        groups: { id: 'g', slug: 'groups', title: 'Groups', category: 'Tech', content: '<p>Groups.</p>' },
+        rings: { id: 'r', slug: 'rings', title: 'Rings', category: 'Tech', content: '<p>Rings extend <a href="/tech/groups">groups</a>.</p>' }
+      };
+      fs.readJson.mockImplementation(async (file) => posts[path.basename(file, '.json')]);
+      fs.ensureDir = jest.fn().mockResolvedValue();
+      fs.writeJson = jest.fn().mockResolvedValue();
+
+      await siteBuilder.generatePostPages({ publishedPosts: Object.values(posts), scheduledPosts: [] });
+
+      expect(fs.writeJson).toHaveBeenCalledWith(
+        expect.stringContaining(path.join('js', 'link-graph.json')),
+        expect.objectContaining({ links: [{ source: '/tech/rings', target: '/tech/groups', context: 'Rings extend groups.' }] }),
+        expect.any(Object)
+      );
+      expect(siteBuilder.templates['blog-post']).toHaveBeenCalledWith(expect.objectContaining({
+        slug: 'groups',
+        backlinks: [{ path: '/tech/rings', title: 'Rings', category: 'Tech', context: 'Rings extend groups.' }]
+      }));
+      expect(siteBuilder.templates['blog-post']).toHaveBeenCalledWith(expect.objectContaining({ slug: 'rings', backlinks: [] }));
+    });
+
+    it('should generate unlisted posts with noindex', async () => {
+      const unlisted = { id: 'u', slug: 'preview', title: 'Preview', category: 'Tech', visibility: 'Unlisted', content: '<p>Soon.</p>' };
+      fs.readJson.mockResolvedValue(unlisted);
+
+      await siteBuilder.generatePostPages({ publishedPosts: [], unlistedPosts: [unlisted], scheduledPosts: [] });
+
+      expect(fs.writeFile).toHaveBeenCalledWith(expect.stringContaining('tech/preview.html'), expect.any(String));
+      expect(siteBuilder.templates.base).toHaveBeenCalledWith(expect.objectContaining({ canonicalPath: '/tech/preview', noindex: true }));
+    });
+
+    it('should ship the stored ciphertext of password-protected posts', async () => {
+      const locked = { ciphertext: 'Y2lwaGVy', iv: 'aXY=', salt: 'c2FsdA==', iterations: 600000 };
+      const secret = { id: 's', slug: 'secret', title: 'Secret', category: 'Tech', protected: true, locked, excerpt: null, content: '', tableOfContents: [] };
+      fs.readJson.mockResolvedValue(secret);
+
+      await siteBuilder.generatePostPage(secret, [secret]);
+
+      expect(siteBuilder.templates['blog-post']).toHaveBeenCalledWith(expect.objectContaining({ content: '', locked }));
+      expect(siteBuilder.templates.base).toHaveBeenCalledWith(expect.objectContaining({ description: 'Secret - Test Site', noindex: true }));
+    });
   });
 
   describe('generateCategoryPages', () => {
@@ -408,6 +577,58 @@ describe('SiteBuilder', () => {
     });
   });
 
+  describe('generateTagPages', () => {
+    beforeEach(() => {
+      siteBuilder.templates = {
+        'tag-index': jest.fn().mockReturnValue('<div>Tags</div>'),
+        base: jest.fn().mockReturnValue('<html>{{content}}</html>')
+      };
+      fs.ensureDir = jest.fn().mockResolvedValue();
+      siteBuilder.generateBlogListingPage = jest.fn().mockResolvedValue();
+    });
+
+    it('should generate a listing page per tag and a tag index', async () => {
+      const content = {
+        publishedPosts: [
+          { id: '1', slug: 'one', tags: ['JavaScript', 'Node.js'], publishDate: '2024-01-01' },
+          { id: '2', slug: 'two', tags: ['JavaScript'], publishDate: '2024-02-01' }
+        ],
+        categories: []
+      };
+
+      await siteBuilder.generateTagPages(content);
+
+      expect(siteBuilder.generateBlogListingPage).toHaveBeenCalledWith(
+        [expect.objectContaining({ slug: 'two' }), expect.objectContaining({ slug: 'one' })],
+        '/tag/javascript',
+        expect.stringContaining(path.join('tag', 'javascript', 'index.html')),
+        content,
+        expect.objectContaining({ tagFilter: 'javascript', tagName: 'JavaScript', tagCount: 2 })
+      );
+      expect(siteBuilder.generateBlogListingPage).toHaveBeenCalledWith(
+        expect.any(Array),
+        '/tag/nodejs',
+        expect.any(String),
+        content,
+        expect.objectContaining({ tagFilter: 'nodejs' })
+      );
+      expect(siteBuilder.templates['tag-index']).toHaveBeenCalledWith({
+        tags: [
+          { name: 'JavaScript', slug: 'javascript', count: 2 },
+          { name: 'Node.js', slug: 'nodejs', count: 1 }
+        ],
+        totalTags: 2
+      });
+      expect(siteBuilder.templates.base).toHaveBeenCalledWith(
+        expect.objectContaining({ canonicalPath: '/tag/', pageTitle: 'Tags' })
+      );
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        expect.stringContaining(path.join('tag', 'index.html')),
+        expect.any(String)
+      );
+    });
+  });
+
   describe('generateRSSFeed', () => {
     it('should generate RSS feed for published posts', async () => {
       const posts = [
@@ -460,6 +681,52 @@ describe('SiteBuilder', () => {
     });
   });
 
+  describe('generateSearchIndex', () => {
+    it('should leave password-protected posts out', async () => {
+      fs.ensureDir = jest.fn().mockResolvedValue();
+      fs.writeJson = jest.fn().mockResolvedValue();
+
+      await siteBuilder.generateSearchIndex({
+        publishedPosts: [
+          { slug: 'open', title: 'Open', category: 'Tech' },
+          { slug: 'secret', title: 'Secret', category: 'Tech', protected: true }
+        ]
+      });
+
+      const { items } = fs.writeJson.mock.calls[0][1];
+      expect(items.map(item => item.slug)).toEqual(['open']);
+    });
+  });
+
+  describe('generateNextPublish', () => {
+    it('should write the next upcoming publish time', async () => {
+      fs.writeJson = jest.fn().mockResolvedValue();
+
+      await siteBuilder.generateNextPublish([
+        { id: 'past', title: 'Past', publishDate: '2020-01-01' },
+        { id: 'later', title: 'Later', publishDate: '2999-06-01T09:00:00.000Z' },
+        { id: 'sooner', title: 'Sooner', slug: 'sooner', category: 'Tech', publishDate: '2999-01-01T09:00:00.000Z' }
+      ]);
+
+      expect(fs.writeJson).toHaveBeenCalledWith(
+        expect.stringContaining('next-publish.json'),
+        expect.objectContaining({
+          nextPublishAt: '2999-01-01T09:00:00.000Z',
+          post: expect.objectContaining({ id: 'sooner', slug: 'sooner', category: 'Tech' })
+        }),
+        { spaces: 2 }
+      );
+    });
+
+    it('should write null when nothing is scheduled', async () => {
+      fs.writeJson = jest.fn().mockResolvedValue();
+
+      await siteBuilder.generateNextPublish([]);
+
+      expect(fs.writeJson.mock.calls[0][1]).toMatchObject({ nextPublishAt: null, post: null });
+    });
+  });
+
   describe('findRelatedPosts', () => {
     it('should find related posts by tags and category', () => {
       const currentPost = {
@@ -483,6 +750,16 @@ describe('SiteBuilder', () => {
       expect(related[1].id).toBe('3'); // Second highest (same category)
     });
 
+    it('should not suggest unlisted posts', () => {
+      const currentPost = { id: '1', tags: ['test'], category: 'Tech', slug: 'post-1' };
+      const allPosts = [
+        { id: '2', tags: ['test'], category: 'Tech', status: 'Published', slug: 'post-2', visibility: 'Unlisted' },
+        { id: '3', tags: ['test'], category: 'Tech', status: 'Published', slug: 'post-3', visibility: 'Public' }
+      ];
+
+      expect(siteBuilder.findRelatedPosts(currentPost, allPosts).map(post => post.id)).toEqual(['3']);
+    });
+
     it('should exclude the current post from results', () => {
       const currentPost = { id: '1', tags: ['test'], category: 'Tech', slug: 'post-1' };
       const allPosts = [currentPost, { id: '2', tags: ['test'], category: 'Tech', status: 'Published', slug: 'post-2' }];
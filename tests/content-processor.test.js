@@ -41,18 +41,18 @@ describe('ContentProcessor', () => {
       const processor = new ContentProcessor();
       expect(processor.preserveDesign).toBe(true);
       expect(processor.enableSyntaxHighlighting).toBe(true);
-      expect(processor.enableMathJax).toBe(true);
+      expect(processor.enableMath).toBe(true);
     });
 
     it('should initialize with custom options', () => {
       const processor = new ContentProcessor({
         preserveDesign: false,
         enableSyntaxHighlighting: false,
-        enableMathJax: false
+        enableMath: false
       });
       expect(processor.preserveDesign).toBe(false);
       expect(processor.enableSyntaxHighlighting).toBe(false);
-      expect(processor.enableMathJax).toBe(false);
+      expect(processor.enableMath).toBe(false);
     });
 
     it('should have block processors configured', () => {
@@ -182,6 +182,221 @@ describe('ContentProcessor', () => {
     });
   });
 
+  describe('nested blocks', () => {
+    it('should render nested lists inside their parent list item', async () => {
+      const blocks = [
+        {
+          id: 'parent',
+          type: 'bulleted_list_item',
+          has_children: true,
+          bulleted_list_item: { rich_text: [{ plain_text: 'Parent' }] },
+          children: [
+            {
+              id: 'child',
+              type: 'numbered_list_item',
+              numbered_list_item: { rich_text: [{ plain_text: 'Child' }] }
+            }
+          ]
+        }
+      ];
+
+      const result = await contentProcessor.processBlocks(blocks);
+
+      expect(result).toMatch(/<ul[^>]*>\s*<li[^>]*>Parent<ol[^>]*>\s*<li[^>]*>Child<\/li>\s*<\/ol><\/li>\s*<\/ul>/);
+    });
+
+    it('should render children of callouts and indent children of other blocks', async () => {
+      const paragraph = (id, text) => ({ id, type: 'paragraph', paragraph: { rich_text: [{ plain_text: text }] } });
+      const blocks = [
+        {
+          id: 'callout',
+          type: 'callout',
+          has_children: true,
+          callout: { icon: { emoji: '📌' }, rich_text: [{ plain_text: 'Note' }] },
+          children: [paragraph('callout-child', 'Inside callout')]
+        },
+        {
+          ...paragraph('para', 'Outer'),
+          has_children: true,
+          children: [paragraph('para-child', 'Indented')]
+        }
+      ];
+
+      const result = await contentProcessor.processBlocks(blocks);
+
+      expect(result).toMatch(/Note<p[^>]*>Inside callout<\/p><\/div>/);
+      expect(result).toMatch(/Outer<\/p>\s*<div class="ml-6">\s*<p[^>]*>Indented<\/p>/);
+    });
+  });
+
+  describe('layout and interactive blocks', () => {
+    const paragraph = (text) => ({ type: 'paragraph', paragraph: { rich_text: [{ plain_text: text }] } });
+
+    it('should render toggles and toggleable headings as details/summary', async () => {
+      const result = await contentProcessor.processBlocks([
+        { type: 'toggle', toggle: { rich_text: [{ plain_text: 'Proof' }] }, children: [paragraph('QED')] },
+        { type: 'heading_2', heading_2: { rich_text: [{ plain_text: 'Appendix' }], is_toggleable: true }, children: [paragraph('Extra')] }
+      ]);
+
+      expect(result).toMatch(/<details[^>]*>\s*<summary[^>]*>Proof<\/summary>\s*<div[^>]*><p[^>]*>QED<\/p><\/div>/);
+      expect(result).toMatch(/<summary[^>]*><h2 id="appendix"[^>]*>Appendix<\/h2><\/summary>\s*<div class="ml-6"><p[^>]*>Extra<\/p>/);
+    });
+
+    it('should render to-dos as read-only checkboxes', () => {
+      const done = contentProcessor.processToDo({ to_do: { rich_text: [{ plain_text: 'Ship it' }], checked: true } });
+      const open = contentProcessor.processToDo({ to_do: { rich_text: [{ plain_text: 'Test it' }], checked: false } });
+
+      expect(done).toMatch(/<input type="checkbox"[^>]* disabled checked/);
+      expect(done).toContain('line-through');
+      expect(open).not.toMatch(/disabled checked/);
+    });
+
+    it('should render column lists as a responsive grid and inline synced block content', async () => {
+      const result = await contentProcessor.processBlocks([
+        {
+          type: 'column_list',
+          column_list: {},
+          children: [
+            { type: 'column', column: {}, children: [paragraph('Left')] },
+            { type: 'column', column: {}, children: [{ type: 'synced_block', synced_block: { synced_from: { block_id: 'orig' } }, children: [paragraph('Shared')] }] }
+          ]
+        }
+      ]);
+
+      expect(result).toContain('grid-cols-1');
+      expect(result).toContain('md:grid-cols-2');
+      expect(result).toMatch(/<div class="notion-column min-w-0"><p[^>]*>Left<\/p><\/div>/);
+      expect(result).toContain('Shared');
+    });
+
+    it('should fill table_of_contents blocks with the page headings', async () => {
+      const result = await contentProcessor.processPage({ properties: {} }, [
+        { type: 'table_of_contents', table_of_contents: {} },
+        { type: 'heading_1', heading_1: { rich_text: [{ plain_text: 'Intro' }] } }
+      ]);
+
+      expect(result.content).toMatch(/<nav class="notion-toc[^>]*>[\s\S]*href="#intro"/);
+      expect(result.content).not.toContain('notion-table-of-contents');
+      expect(result.wordCount).toBe(1);
+      expect(result.unsupportedBlockTypes).toEqual([]);
+    });
+
+    it('should list block types without a processor', () => {
+      const types = contentProcessor.findUnsupportedBlockTypes([
+        paragraph('ok'),
+        { type: 'child_database', child_database: {} },
+        { type: 'toggle', toggle: { rich_text: [] }, children: [{ type: 'audio', audio: {} }] },
+        { type: 'table', table: {}, children: [{ type: 'table_row', table_row: { cells: [] } }] }
+      ]);
+
+      expect(types).toEqual(['audio', 'child_database']);
+    });
+  });
+
+  describe('links to other pages', () => {
+    const pageId = '1a2b3c4d-0000-4000-8000-00000000abcd';
+
+    it('should mark page mentions and notion.so links with the target page id', () => {
+      const result = contentProcessor.extractRichText([
+        { type: 'mention', plain_text: 'Groups', href: `https://www.notion.so/${pageId.replace(/-/g, '')}`, mention: { type: 'page', page: { id: pageId } } },
+        { type: 'text', plain_text: ' and ' },
+        { type: 'text', plain_text: 'rings', href: 'https://www.notion.so/acme/Rings-1A2B3C4D000040008000000000000ABC?pvs=4' }
+      ]);
+
+      expect(result).toMatch(new RegExp(`data-notion-page-id="${pageId}"[^>]*>Groups</a>`));
+      expect(result).toMatch(/data-notion-page-id="1a2b3c4d-0000-4000-8000-000000000abc"[^>]*>rings<\/a>/);
+      expect(result).not.toContain('target="_blank"');
+    });
+
+    it('should leave other links alone', () => {
+      expect(contentProcessor.getNotionPageId('https://example.com/1a2b3c4d000040008000000000000abc')).toBeNull();
+      expect(contentProcessor.extractRichText([{ plain_text: 'Site', href: 'https://example.com' }])).toContain('target="_blank"');
+    });
+
+    it('should rewrite resolvable links and unlink the rest', () => {
+      const html = contentProcessor.extractRichText([
+        { type: 'mention', plain_text: 'Groups', href: 'https://www.notion.so/x', mention: { type: 'page', page: { id: pageId } } },
+        { type: 'mention', plain_text: 'Draft', href: 'https://www.notion.so/y', mention: { type: 'page', page: { id: 'ffffffff-0000-4000-8000-000000000000' } } }
+      ]);
+
+      const { html: rewritten, unresolvedPageIds } = contentProcessor.rewritePageLinks(html, new Map([[pageId, '/math/groups']]));
+
+      expect(rewritten).toContain(`<a href="/math/groups" data-notion-page-id="${pageId}"`);
+      expect(rewritten).toContain('<a data-notion-page-id="ffffffff-0000-4000-8000-000000000000"');
+      expect(rewritten).not.toContain('notion.so');
+      expect(unresolvedPageIds).toEqual(['ffffffff-0000-4000-8000-000000000000']);
+
+      // Re-resolving once the draft is published fills in its href
+      const { html: republished } = contentProcessor.rewritePageLinks(rewritten, new Map([
+        [pageId, '/math/groups'],
+        ['ffffffff-0000-4000-8000-000000000000', '/blog/draft']
+      ]));
+      expect(republished).toContain('<a href="/blog/draft" data-notion-page-id="ffffffff-0000-4000-8000-000000000000"');
+    });
+  });
+
+  describe('math', () => {
+    it('should render block equations to static KaTeX HTML', () => {
+      const result = contentProcessor.processEquation({ equation: { expression: 'E = mc^2' } });
+
+      expect(result).toContain('class="katex-display"');
+      expect(result).toContain('<annotation encoding="application/x-tex">E = mc^2</annotation>');
+      expect(result).not.toContain('\\[');
+    });
+
+    it('should render inline equations in rich text', () => {
+      const result = contentProcessor.extractRichText([
+        { type: 'text', plain_text: 'Let ' },
+        { type: 'equation', plain_text: 'x^2', equation: { expression: 'x^2' } },
+        { type: 'text', plain_text: ' be positive.' }
+      ]);
+
+      expect(result).toMatch(/^Let <span class="katex">/);
+      expect(result).not.toContain('katex-display');
+      expect(result).toMatch(/<\/span> be positive\.$/);
+    });
+
+    it('should flag expressions that fail to render', () => {
+      const result = contentProcessor.renderMath('\\frac{1}{', true);
+
+      expect(result).toContain('notion-math-error');
+      expect(result).toContain('\\frac{1}{');
+      expect(contentProcessor.collectMathErrors(result)).toEqual([
+        expect.stringContaining('KaTeX parse error')
+      ]);
+    });
+
+    it('should report math and measure text by TeX source in processPage', async () => {
+      const result = await contentProcessor.processPage({ properties: {} }, [
+        {
+          type: 'heading_2',
+          heading_2: {
+            rich_text: [
+              { type: 'text', plain_text: 'Bounding ' },
+              { type: 'equation', plain_text: 'n', equation: { expression: 'n' } }
+            ]
+          }
+        },
+        { type: 'equation', equation: { expression: '\\sqrt{' } }
+      ]);
+
+      expect(result.hasMath).toBe(true);
+      expect(result.content).toContain('<h2 id="bounding-n"');
+      expect(result.tableOfContents[0].text).toBe('Bounding n');
+      expect(result.wordCount).toBe(3);
+      expect(result.mathErrors).toHaveLength(1);
+    });
+
+    it('should leave pages without equations untouched', async () => {
+      const result = await contentProcessor.processPage({ properties: {} }, [
+        { type: 'paragraph', paragraph: { rich_text: [{ plain_text: 'Plain prose' }] } }
+      ]);
+
+      expect(result.hasMath).toBe(false);
+      expect(result.mathErrors).toEqual([]);
+    });
+  });
+
   describe('block processors', () => {
     describe('processParagraph', () => {
       it('should process paragraph with rich text', () => {
@@ -242,7 +457,7 @@ describe('ContentProcessor', () => {
         const result = contentProcessor.processCodeBlock(block);
 
         expect(result).toContain('<pre');
-        expect(result).toContain('console.log');
+        expect(result.replace(/<[^>]+>/g, '')).toContain('console.log');
         expect(result).toContain('javascript');
       });
 
@@ -259,6 +474,74 @@ describe('ContentProcessor', () => {
         expect(result).toContain('<pre');
         expect(result).toContain('some code');
       });
+
+      it('should highlight code into token spans at sync time', () => {
+        const result = contentProcessor.processCodeBlock({
+          code: { rich_text: [{ plain_text: 'const answer = 42;' }], language: 'javascript' }
+        });
+
+        expect(result).toContain('<span class="hljs-keyword">const</span>');
+        expect(result).toContain('<span class="hljs-number">42</span>');
+        expect(result).toContain('data-copy-code');
+      });
+
+      it('should use the caption as filename and highlight line ranges', () => {
+        const result = contentProcessor.processCodeBlock({
+          code: {
+            rich_text: [{ plain_text: 'a\nb\nc\nd' }],
+            language: 'plain text',
+            caption: [{ plain_text: 'notes.txt {2-3}' }]
+          }
+        });
+
+        expect(result).toContain('<span class="code-block-filename font-mono">notes.txt</span>');
+        expect(result).not.toContain('{2-3}');
+        expect(result.match(/code-line-highlighted/g)).toHaveLength(2);
+        expect(result).toContain('<span class="code-line code-line-highlighted">b</span>');
+        expect(result).toContain('<span class="code-line">d</span>');
+      });
+
+      it('should mark added and removed lines in diffs', () => {
+        const result = contentProcessor.renderCodeBlock('--- a.js\n+++ b.js\n-old\n+new\n same', 'diff');
+
+        expect(result).toContain('<span class="code-line">+++ b.js</span>');
+        expect(result).toContain('<span class="code-line code-line-removed">-old</span>');
+        expect(result).toContain('<span class="code-line code-line-added">+new</span>');
+      });
+
+      it('should add line numbers when enabled', () => {
+        const processor = new ContentProcessor({ codeLineNumbers: true });
+
+        expect(processor.renderCodeBlock('x', 'python')).toContain('code-line-numbers');
+        expect(contentProcessor.renderCodeBlock('x', 'python')).not.toContain('code-line-numbers');
+      });
+    });
+
+    describe('parseCodeCaption', () => {
+      it('should parse several ranges and single lines', () => {
+        const { filename, highlightLines } = contentProcessor.parseCodeCaption([{ plain_text: '{1, 4-5} src/app.js' }]);
+
+        expect(filename).toBe('src/app.js');
+        expect([...highlightLines]).toEqual([1, 4, 5]);
+      });
+
+      it('should handle missing captions', () => {
+        const { filename, highlightLines } = contentProcessor.parseCodeCaption(undefined);
+
+        expect(filename).toBe('');
+        expect(highlightLines.size).toBe(0);
+      });
+    });
+
+    describe('splitHighlightedLines', () => {
+      it('should reopen token spans that cross line breaks', () => {
+        const lines = contentProcessor.splitHighlightedLines('<span class="hljs-comment">/* a\nb */</span> x');
+
+        expect(lines).toEqual([
+          '<span class="hljs-comment">/* a</span>',
+          '<span class="hljs-comment">b */</span> x'
+        ]);
+      });
     });
 
     describe('processCallout', () => {
@@ -299,6 +582,56 @@ describe('ContentProcessor', () => {
         expect(result).toContain('Test image');
       });
 
+      it('should render cached images as responsive pictures', async () => {
+        const block = {
+          image: {
+            type: 'file',
+            file: { url: 'https://s3.us-west-2.amazonaws.com/notion/photo.png' },
+            caption: [{ plain_text: 'A "quoted" caption' }]
+          }
+        };
+        const image = {
+          hash: 'abc',
+          width: 800,
+          height: 400,
+          placeholder: 'data:image/webp;base64,eA==',
+          variants: [{ width: 800, format: 'webp', file: 'abc-800.webp' }, { width: 800, format: 'jpg', file: 'abc-800.jpg' }]
+        };
+        contentProcessor.processImageUrl = jest.fn().mockResolvedValue('/images/notion/photo.png');
+        contentProcessor.getResponsiveImage = jest.fn().mockResolvedValue(image);
+
+        const result = await contentProcessor.processImage(block);
+
+        expect(contentProcessor.getResponsiveImage).toHaveBeenCalledWith('/images/notion/photo.png');
+        expect(result).toContain('<picture>');
+        expect(result).toContain('srcset="/images/notion/abc-800.webp 800w"');
+        expect(result).toContain('width="800" height="400"');
+        expect(result).toContain('alt="A &quot;quoted&quot; caption"');
+      });
+
+      it('should cache featured images and render an eager hero picture', async () => {
+        const image = {
+          hash: 'abc',
+          width: 1200,
+          height: 630,
+          placeholder: 'data:image/webp;base64,eA==',
+          variants: [{ width: 1200, format: 'jpg', file: 'abc-1200.jpg' }]
+        };
+        contentProcessor.processImageUrl = jest.fn().mockResolvedValue('/images/notion/hero.png');
+        contentProcessor.getResponsiveImage = jest.fn().mockResolvedValue(image);
+
+        const result = await contentProcessor.processFeaturedImage('https://s3.us-west-2.amazonaws.com/notion/hero.png?X-Amz-Expires=3600', 'Hero & Co');
+
+        expect(result.featuredImage).toBe('/images/notion/hero.png');
+        expect(result.featuredImagePicture).toContain('alt="Hero &amp; Co"');
+        expect(result.featuredImagePicture).toContain('fetchpriority="high"');
+        expect(result.featuredImagePicture).not.toContain('loading="lazy"');
+      });
+
+      it('should not process images outside the Notion image cache', async () => {
+        expect(await contentProcessor.getResponsiveImage('https://example.com/image.jpg')).toBeNull();
+      });
+
       it('should handle image processing errors', async () => {
         const block = {
           image: {
@@ -322,6 +655,48 @@ describe('ContentProcessor', () => {
       });
     });
 
+    describe('processTable', () => {
+      const cell = text => [{ plain_text: text }];
+      const row = (...cells) => ({ type: 'table_row', table_row: { cells: cells.map(cell) } });
+
+      it('should render header rows, row headers and rich text cells', async () => {
+        const block = {
+          id: 'table',
+          type: 'table',
+          has_children: true,
+          table: { table_width: 2, has_column_header: true, has_row_header: true },
+          children: [
+            row('Model', 'Params'),
+            row('GPT-2', '1.5B'),
+            { type: 'table_row', table_row: { cells: [cell('BERT'), [{ plain_text: '340M', annotations: { bold: true } }]] } }
+          ]
+        };
+
+        const result = await contentProcessor.processBlock(block);
+
+        expect(result).toContain('overflow-x-auto');
+        expect(result).toMatch(/<thead><tr><th scope="col"[^>]*>Model<\/th><th scope="col"[^>]*>Params<\/th><\/tr><\/thead>/);
+        expect(result).toMatch(/<th scope="row"[^>]*>GPT-2<\/th><td[^>]*>1.5B<\/td>/);
+        expect(result).toContain('<strong>340M</strong>');
+        expect(result).not.toContain('not yet implemented');
+      });
+
+      it('should pad short rows and count table text as words', async () => {
+        const block = {
+          type: 'table',
+          table: { table_width: 3, has_column_header: false, has_row_header: false },
+          children: [row('alpha', 'beta'), row('gamma', 'delta', 'epsilon')]
+        };
+
+        const html = contentProcessor.processTable(block);
+
+        expect(html).not.toContain('<thead>');
+        expect(html.match(/<td/g)).toHaveLength(6);
+        expect(contentProcessor.countWords(html)).toBe(5);
+        expect(contentProcessor.extractExcerpt(html)).toBe('alpha beta gamma delta epsilon');
+      });
+    });
+
     describe('processQuote', () => {
       it('should process quote block', () => {
         const block = {
@@ -392,6 +767,44 @@ describe('ContentProcessor', () => {
       });
     });
 
+    describe('asset store', () => {
+      it('should store Notion-hosted images in the asset store', async () => {
+        const cacheImage = jest.fn().mockResolvedValue('/images/notion/0123456789abcdef.png');
+        contentProcessor.getAssetStore = jest.fn().mockReturnValue({ cacheImage });
+
+        const result = await contentProcessor.processImageUrl('https://prod-files-secure.s3.us-west-2.amazonaws.com/a/photo.png?X-Amz-Signature=x');
+
+        expect(result).toBe('/images/notion/0123456789abcdef.png');
+        expect(cacheImage).toHaveBeenCalledWith(expect.stringContaining('photo.png'), {
+          extension: '.png',
+          download: expect.any(Function)
+        });
+      });
+
+      it('should record the stored images a page references', async () => {
+        const setReferences = jest.fn().mockResolvedValue();
+        contentProcessor.getAssetStore = jest.fn().mockReturnValue({ setReferences });
+        contentProcessor.processImageUrl = jest.fn().mockResolvedValue('/images/notion/0123456789abcdef.png');
+        contentProcessor.getResponsiveImage = jest.fn().mockResolvedValue(null);
+
+        await contentProcessor.processPage({ id: 'page-1', properties: {} }, [
+          { type: 'image', image: { type: 'file', file: { url: 'https://s3.us-west-2.amazonaws.com/a/photo.png' }, caption: [] } }
+        ]);
+
+        expect(setReferences).toHaveBeenCalledWith('page-1', expect.stringContaining('/images/notion/0123456789abcdef.png'));
+      });
+
+      it('should release a removed featured image', async () => {
+        const setReferences = jest.fn().mockResolvedValue();
+        contentProcessor.getAssetStore = jest.fn().mockReturnValue({ setReferences });
+
+        const result = await contentProcessor.processFeaturedImage(null, 'Title', 'page-1');
+
+        expect(result).toEqual({});
+        expect(setReferences).toHaveBeenCalledWith('page-1:featuredImage', '');
+      });
+    });
+
     describe('getImageExtension', () => {
       it('should extract extension from URL', () => {
         expect(contentProcessor.getImageExtension('https://example.com/image.jpg')).toBe('.jpg');
@@ -503,6 +916,12 @@ describe('ContentProcessor', () => {
 
         expect(excerpt).toBe('Short content.');
       });
+
+      it('should keep inline markup next to its punctuation', () => {
+        const html = '<h2>Setup</h2><p>See <a href="/docs">the docs</a>, then call <code>init()</code>. It is <strong>fast</strong>!</p>';
+
+        expect(contentProcessor.extractExcerpt(html)).toBe('Setup See the docs, then call init(). It is fast!');
+      });
     });
   });
 
@@ -0,0 +1,100 @@
+// Mock dependencies
+jest.mock('fs-extra');
+jest.mock('sharp', () => jest.fn());
+jest.mock('../scripts/utils/logger');
+
+const ImageProcessor = require('../scripts/utils/image-processor');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+
+const mockConfig = {
+  performance: {
+    enableLazyLoading: true,
+    imageFormats: ['webp', 'jpg'],
+    imageSizes: [400, 800, 1200]
+  }
+};
+
+describe('ImageProcessor', () => {
+  let processor;
+  let mockSharp;
+  let files;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    files = {};
+    fs.readFile = jest.fn().mockResolvedValue(Buffer.from('original image bytes'));
+    fs.pathExists = jest.fn().mockImplementation(async (file) => file in files);
+    fs.readJson = jest.fn().mockImplementation(async (file) => files[file]);
+    fs.writeJson = jest.fn().mockImplementation(async (file, data) => { files[file] = JSON.parse(JSON.stringify(data)); });
+    fs.ensureDir = jest.fn().mockResolvedValue();
+
+    mockSharp = {
+      metadata: jest.fn().mockResolvedValue({ width: 1000, height: 500 }),
+      resize: jest.fn().mockReturnThis(),
+      toFormat: jest.fn().mockReturnThis(),
+      blur: jest.fn().mockReturnThis(),
+      webp: jest.fn().mockReturnThis(),
+      toFile: jest.fn().mockImplementation(async (file) => { files[file] = true; }),
+      toBuffer: jest.fn().mockResolvedValue(Buffer.from('tiny'))
+    };
+    sharp.mockReturnValue(mockSharp);
+
+    processor = new ImageProcessor(mockConfig, { outputDir: '/out/images', publicPath: '/images/notion' });
+  });
+
+  describe('process', () => {
+    it('should create every size up to the original width in every format', async () => {
+      const image = await processor.process('/out/images/photo.png');
+
+      expect(image.variants.map(v => v.file.replace(image.hash, 'h'))).toEqual([
+        'h-400.webp', 'h-400.jpg', 'h-800.webp', 'h-800.jpg', 'h-1000.webp', 'h-1000.jpg'
+      ]);
+      expect(mockSharp.toFormat).toHaveBeenCalledWith('jpeg', expect.any(Object));
+      expect(image).toMatchObject({ width: 1000, height: 500 });
+      expect(image.placeholder).toBe(`data:image/webp;base64,${Buffer.from('tiny').toString('base64')}`);
+      expect(files['/out/images/responsive-manifest.json'].images[image.hash]).toEqual(image);
+    });
+
+    it('should skip images whose content hash is already in the manifest', async () => {
+      await processor.process('/out/images/photo.png');
+      sharp.mockClear();
+
+      const fresh = new ImageProcessor(mockConfig, { outputDir: '/out/images', publicPath: '/images/notion' });
+      const image = await fresh.process('/out/images/renamed.png');
+
+      expect(sharp).not.toHaveBeenCalled();
+      expect(image.variants).toHaveLength(6);
+    });
+
+    it('should pass animated and vector images through', async () => {
+      expect(await processor.process('/out/images/anim.gif')).toBeNull();
+      expect(await processor.process('/out/images/logo.svg')).toBeNull();
+      expect(sharp).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renderPicture', () => {
+    it('should render sources, srcset, sizes, dimensions and placeholder', async () => {
+      const image = await processor.process('/out/images/photo.png');
+      const html = processor.renderPicture(image, { alt: 'A photo', sizes: '50vw', className: 'rounded' });
+
+      expect(html).toContain(`<source type="image/webp" srcset="/images/notion/${image.hash}-400.webp 400w, /images/notion/${image.hash}-800.webp 800w, /images/notion/${image.hash}-1000.webp 1000w" sizes="50vw" />`);
+      expect(html).toContain(`<img src="/images/notion/${image.hash}-1000.jpg"`);
+      expect(html).toContain('width="1000" height="500"');
+      expect(html).toContain('alt="A photo" class="rounded" loading="lazy"');
+      expect(html).toContain("background-image: url('data:image/webp;base64,");
+    });
+  });
+
+  describe('pruneManifest', () => {
+    it('should drop entries none of whose files are used', async () => {
+      const image = await processor.process('/out/images/photo.png');
+
+      await processor.pruneManifest(new Set(['other.jpg']));
+
+      expect(files['/out/images/responsive-manifest.json'].images[image.hash]).toBeUndefined();
+    });
+  });
+});
@@ -155,6 +155,8 @@ describe('Auto-Sync Workflow Integration', () => {
         }]),
         getScheduledPosts: jest.fn().mockResolvedValue([]),
         getDraftPosts: jest.fn().mockResolvedValue([]),
+        getArchivedPosts: jest.fn().mockResolvedValue([]),
+        withoutProperty: jest.fn(page => page),
         getPage: jest.fn().mockResolvedValue({ id: 'test-post-1' }),
         getBlocks: jest.fn().mockResolvedValue([{
           type: 'paragraph',
@@ -252,6 +254,8 @@ describe('Auto-Sync Workflow Integration', () => {
         getPublishedPosts: jest.fn().mockResolvedValue(largePosts),
         getScheduledPosts: jest.fn().mockResolvedValue([]),
         getDraftPosts: jest.fn().mockResolvedValue([]),
+        getArchivedPosts: jest.fn().mockResolvedValue([]),
+        withoutProperty: jest.fn(page => page),
         getPage: jest.fn().mockImplementation((id) => Promise.resolve({ id })),
         getBlocks: jest.fn().mockResolvedValue([{
           type: 'paragraph',
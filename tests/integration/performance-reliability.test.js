@@ -94,6 +94,7 @@ const mockNotionClient = {
   getPublishedPosts: jest.fn().mockResolvedValue([]),
   getScheduledPosts: jest.fn().mockResolvedValue([]),
   getDraftPosts: jest.fn().mockResolvedValue([]),
+  getArchivedPosts: jest.fn().mockResolvedValue([]),
   getPage: jest.fn().mockResolvedValue({ id: 'test-page' }),
   getBlocks: jest.fn().mockResolvedValue([]),
   extractMetadata: jest.fn().mockReturnValue({
@@ -458,6 +459,7 @@ describe('Performance & Reliability Integration', () => {
         getPublishedPosts: jest.fn().mockResolvedValue(posts),
         getScheduledPosts: jest.fn().mockResolvedValue([]),
         getDraftPosts: jest.fn().mockResolvedValue([]),
+        getArchivedPosts: jest.fn().mockResolvedValue([]),
         getPage: jest.fn().mockImplementation((id) => {
           if (id === '2' || id === '4') {
             throw new Error('Corrupted post data');
@@ -524,7 +526,8 @@ describe('Performance & Reliability Integration', () => {
         testConnection: jest.fn().mockResolvedValue(true),
         getPublishedPosts: jest.fn().mockResolvedValue([]),
         getScheduledPosts: jest.fn().mockResolvedValue([]),
-        getDraftPosts: jest.fn().mockResolvedValue([])
+        getDraftPosts: jest.fn().mockResolvedValue([]),
+        getArchivedPosts: jest.fn().mockResolvedValue([])
       };
       
       sync.notionClient = mockNotionClient;
@@ -612,7 +615,8 @@ describe('Performance & Reliability Integration', () => {
         testConnection: jest.fn().mockResolvedValue(true),
         getPublishedPosts: jest.fn().mockResolvedValue([]),
         getScheduledPosts: jest.fn().mockResolvedValue([]),
-        getDraftPosts: jest.fn().mockResolvedValue([])
+        getDraftPosts: jest.fn().mockResolvedValue([]),
+        getArchivedPosts: jest.fn().mockResolvedValue([])
       };
       
       sync1.notionClient = mockNotionClient;
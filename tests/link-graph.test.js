@@ -0,0 +1,60 @@
+const { buildLinkGraph, getBacklinks, getNotionPageId } = require('../scripts/utils/link-graph');
+
+const slugify = (text) => text.toLowerCase().replace(/\s+/g, '-');
+
+describe('link graph', () => {
+  const groupsId = '1a2b3c4d-0000-4000-8000-00000000abcd';
+  const posts = [
+    {
+      id: groupsId,
+      title: 'Groups',
+      slug: 'groups',
+      category: 'Math',
+      content: '<p>Groups come first.</p>'
+    },
+    {
+      id: 'aaaaaaaa-0000-4000-8000-000000000001',
+      title: 'Rings',
+      slug: 'rings',
+      category: 'Math',
+      content: '<p>Rings are abelian under addition. They extend <a href="/math/groups">groups</a> with a product. See also <a href="/math/groups/">the basics</a>.</p>'
+    },
+    {
+      id: 'aaaaaaaa-0000-4000-8000-000000000002',
+      title: 'Reading List',
+      slug: 'reading-list',
+      category: 'Research Notes',
+      content: '<ul><li>Start with <a href="https://www.notion.so/acme/Groups-1a2b3c4d00004000800000000000abcd">this note</a></li></ul>' +
+        '<p>Then read <a href="https://example.com/math/groups">elsewhere</a> and <a href="https://test.com/math/rings">rings</a>.</p>'
+    }
+  ];
+
+  it('should link posts by site path, absolute site URL and Notion page id', () => {
+    const graph = buildLinkGraph(posts, { siteUrl: 'https://test.com', slugify });
+
+    expect(graph.nodes.map(node => node.path)).toEqual(['/math/groups', '/math/rings', '/research-notes/reading-list']);
+    expect(graph.links).toEqual([
+      { source: '/math/rings', target: '/math/groups', context: 'They extend groups with a product.' },
+      { source: '/research-notes/reading-list', target: '/math/groups', context: 'Start with this note' },
+      { source: '/research-notes/reading-list', target: '/math/rings', context: 'Then read elsewhere and rings.' }
+    ]);
+  });
+
+  it('should resolve links marked with a Notion page id', () => {
+    const graph = buildLinkGraph([
+      posts[0],
+      { ...posts[1], content: `<p>Builds on <a href="/math/groups" data-notion-page-id="${groupsId}">Groups</a>.</p>` },
+      { ...posts[2], content: '<p>Start <a href="https://www.notion.so/1a2b3c4d000040008000000000abcd">here</a>.</p>' }
+    ], { siteUrl: 'https://test.com', slugify });
+
+    expect(getBacklinks(graph, '/math/groups')).toEqual([
+      { path: '/math/rings', title: 'Rings', category: 'Math', context: 'Builds on Groups.' }
+    ]);
+  });
+
+  it('should parse page ids from notion.so URLs', () => {
+    expect(getNotionPageId('https://www.notion.so/acme/Groups-1A2B3C4D00004000800000000000ABCD?pvs=4'))
+      .toBe(groupsId);
+    expect(getNotionPageId('https://example.com/1a2b3c4d00004000800000000000abcd')).toBeNull();
+  });
+});
@@ -0,0 +1,15 @@
+const { replaceMathWithSource } = require('../scripts/utils/math-source');
+
+describe('replaceMathWithSource', () => {
+  it('should reduce KaTeX output to its TeX source', () => {
+    const html = '<p>Let <span class="katex"><span class="katex-mathml"><math><semantics><mi>x</mi><annotation encoding="application/x-tex">x^2</annotation></semantics></math></span><span class="katex-html">x2</span></span> grow.</p>';
+
+    expect(replaceMathWithSource(html)).toBe('<p>Let x^2 grow.</p>');
+  });
+
+  it('should leave HTML without math untouched', () => {
+    const html = '<p>No equations here.</p>';
+
+    expect(replaceMathWithSource(html)).toBe(html);
+  });
+});
@@ -59,7 +59,7 @@ describe('NotionClient', () => {
     });
 
     it('should initialize with default rate limiting configuration', () => {
-      expect(notionClient.rateLimiter.maxRequests).toBe(3);
+      expect(notionClient.rateLimiter.rate).toBe(3);
       expect(notionClient.retryConfig.maxRetries).toBe(3);
     });
   });
@@ -215,6 +215,439 @@ describe('NotionClient', () => {
     });
   });
 
+  describe('getPageBlocks (real implementation)', () => {
+    const RealNotionClient = jest.requireActual('../scripts/utils/notion-client');
+
+    it('should fetch the full block tree with one client', async () => {
+      const client = new RealNotionClient({ apiKey: 'test-api-key', databaseId: 'test-database-id' });
+      client.checkRateLimit = jest.fn().mockResolvedValue();
+
+      const tree = {
+        page: [
+          { id: 'a', type: 'bulleted_list_item', has_children: true },
+          { id: 'b', type: 'child_page', has_children: true },
+          { id: 'c', type: 'paragraph', has_children: false }
+        ],
+        a: [{ id: 'a1', type: 'toggle', has_children: true }],
+        a1: [{ id: 'a1x', type: 'image', has_children: false }]
+      };
+      const list = jest.fn(async ({ block_id }) => ({ results: tree[block_id] || [], next_cursor: null }));
+      client.notion = { blocks: { children: { list } } };
+
+      const blocks = await client.getPageBlocks('page');
+
+      expect(blocks).toHaveLength(3);
+      expect(blocks[0].children[0].children[0].id).toBe('a1x');
+      expect(blocks[1].children).toBeUndefined(); // child pages are not inlined
+      expect(list).toHaveBeenCalledTimes(3);
+    });
+
+    it('should resolve duplicate synced blocks to their original content', async () => {
+      const client = new RealNotionClient({ apiKey: 'test-api-key', databaseId: 'test-database-id' });
+      client.checkRateLimit = jest.fn().mockResolvedValue();
+
+      const tree = {
+        page: [{ id: 'dup', type: 'synced_block', has_children: false, synced_block: { synced_from: { block_id: 'orig' } } }],
+        orig: [{ id: 'shared', type: 'paragraph', has_children: false }]
+      };
+      const list = jest.fn(async ({ block_id }) => ({ results: tree[block_id] || [], next_cursor: null }));
+      client.notion = { blocks: { children: { list } } };
+
+      const blocks = await client.getPageBlocks('page');
+
+      expect(list).toHaveBeenCalledWith(expect.objectContaining({ block_id: 'orig' }));
+      expect(blocks[0].children[0].id).toBe('shared');
+    });
+  });
+
+  describe('rate limiting (real implementation)', () => {
+    const RealNotionClient = jest.requireActual('../scripts/utils/notion-client');
+    const { notionRateLimiter } = jest.requireActual('../scripts/utils/rate-limiter');
+
+    const rateLimitedError = (headers) => Object.assign(new Error('Rate limited'), { code: 'rate_limited', status: 429, headers });
+
+    it('should share one rate limiter between clients', () => {
+      const first = new RealNotionClient({ apiKey: 'test-api-key', databaseId: 'test-database-id' });
+      const second = new RealNotionClient({ apiKey: 'test-api-key', databaseId: 'test-database-id' });
+
+      expect(first.rateLimiter).toBe(notionRateLimiter);
+      expect(second.rateLimiter).toBe(first.rateLimiter);
+    });
+
+    it('should wait for Retry-After on 429 and hold back every client meanwhile', async () => {
+      const rateLimiter = { acquire: jest.fn().mockResolvedValue(), pause: jest.fn(), recordRetry: jest.fn() };
+      const client = new RealNotionClient({ apiKey: 'test-api-key', databaseId: 'test-database-id', rateLimiter });
+      client.retryConfig.baseDelay = 1;
+      const operation = jest.fn()
+        .mockRejectedValueOnce(rateLimitedError({ get: name => (name === 'retry-after' ? '0.01' : null) }))
+        .mockResolvedValue('ok');
+
+      await expect(client.withRetry(operation, 'Query')).resolves.toBe('ok');
+
+      const [pausedFor] = rateLimiter.pause.mock.calls[0];
+      expect(pausedFor).toBeGreaterThanOrEqual(10);
+      expect(pausedFor).toBeLessThanOrEqual(11);
+      expect(rateLimiter.acquire).toHaveBeenCalledTimes(2);
+      expect(rateLimiter.recordRetry).toHaveBeenCalledTimes(1);
+    });
+
+    it('should add jitter to exponential backoff', () => {
+      const client = new RealNotionClient({ apiKey: 'test-api-key', databaseId: 'test-database-id' });
+      const random = jest.spyOn(Math, 'random');
+
+      random.mockReturnValue(0);
+      expect(client.getRetryDelay(new Error('Bad gateway'), 1)).toBe(1000);
+      random.mockReturnValue(0.999);
+      expect(client.getRetryDelay(new Error('Bad gateway'), 1)).toBe(1999);
+      expect(client.getRetryDelay(rateLimitedError({ 'retry-after': '3' }), 0)).toBe(3999);
+      random.mockRestore();
+    });
+
+    it('should rate limit each page of a paginated query', async () => {
+      const client = new RealNotionClient({ apiKey: 'test-api-key', databaseId: 'test-database-id' });
+      client.checkRateLimit = jest.fn().mockResolvedValue();
+      const query = jest.fn()
+        .mockResolvedValueOnce({ results: [{ id: 'page-1' }], next_cursor: 'next' })
+        .mockResolvedValueOnce({ results: [{ id: 'page-2' }], next_cursor: null });
+      client.notion = { databases: { query } };
+
+      await client.queryDatabase();
+
+      expect(client.checkRateLimit).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('incremental queries (real implementation)', () => {
+    const RealNotionClient = jest.requireActual('../scripts/utils/notion-client');
+    let client;
+    let query;
+
+    const page = (id, status, publishDate) => ({
+      id,
+      properties: {
+        Title: { type: 'title', title: [{ plain_text: id }] },
+        Status: { type: 'select', select: { name: status } },
+        'Publish Date': { type: 'date', date: publishDate ? { start: publishDate } : null }
+      }
+    });
+
+    beforeEach(() => {
+      client = new RealNotionClient({ apiKey: 'test-api-key', databaseId: 'test-database-id' });
+      client.checkRateLimit = jest.fn().mockResolvedValue();
+      query = jest.fn().mockResolvedValue({ results: [{ id: 'page-1' }, { id: 'page-2' }], next_cursor: null });
+      client.notion = { databases: { query } };
+    });
+
+    it('should query pages edited since the high-water mark or due since the last sync', async () => {
+      await client.getPostsChangedSince('2024-03-01T10:00:00.000Z', '2024-03-01T10:05:00.000Z');
+
+      const { filter } = query.mock.calls[0][0];
+      expect(filter.or[0]).toEqual({ timestamp: 'last_edited_time', last_edited_time: { on_or_after: '2024-03-01T10:00:00.000Z' } });
+      // A day's margin, as Notion compares dates in UTC
+      expect(filter.or[1].and[0]).toEqual({ property: 'Publish Date', date: { on_or_after: '2024-02-29' } });
+    });
+
+    it('should list page ids without properties or a filter', async () => {
+      const ids = await client.getPageIds();
+
+      expect(ids).toEqual(['page-1', 'page-2']);
+      expect(query).toHaveBeenCalledWith(expect.objectContaining({ filter_properties: ['title'] }));
+      expect(query.mock.calls[0][0]).not.toHaveProperty('filter');
+    });
+
+    it('should group pages with the same date rules as the status queries', async () => {
+      const groups = await client.groupPostsByStatus([
+        page('live', 'Published', '2024-01-01'),
+        page('embargoed', 'Published', '2999-01-01'),
+        page('later', 'Scheduled', '2999-06-01'),
+        page('sooner', 'Scheduled', '2999-01-01'),
+        page('overdue', 'Scheduled', '2024-01-01'),
+        page('draft', 'Draft'),
+        page('old', 'Archived')
+      ]);
+
+      // Scheduled posts whose date has passed are promoted
+      expect(groups.published.map(p => p.id)).toEqual(['live', 'overdue']);
+      expect(groups.scheduled.map(p => p.id)).toEqual(['sooner', 'later']);
+      expect(groups.drafts.map(p => p.id)).toEqual(['draft']);
+      expect(groups.archived.map(p => p.id)).toEqual(['old']);
+    });
+  });
+
+  describe('scheduled promotion (real implementation)', () => {
+    const RealNotionClient = jest.requireActual('../scripts/utils/notion-client');
+    let client;
+    let query;
+    let update;
+
+    const page = (id, status, publishDate) => ({
+      id,
+      last_edited_time: '2024-03-01T10:00:00.000Z',
+      properties: {
+        Title: { type: 'title', title: [{ plain_text: id }] },
+        Status: { type: 'select', select: { name: status } },
+        'Publish Date': { type: 'date', date: { start: publishDate } }
+      }
+    });
+
+    const createClient = (options = {}) => {
+      client = new RealNotionClient({ apiKey: 'test-api-key', databaseId: 'test-database-id', ...options });
+      client.checkRateLimit = jest.fn().mockResolvedValue();
+      query = jest.fn().mockResolvedValue({ results: [page('live', 'Published', '2024-01-01'), page('due', 'Scheduled', '2024-02-01')], next_cursor: null });
+      update = jest.fn().mockResolvedValue({ id: 'due', last_edited_time: '2024-03-02T08:00:00.000Z' });
+      client.notion = { databases: { query }, pages: { update } };
+    };
+
+    it('should query Scheduled posts whose date has passed with the published ones', async () => {
+      createClient();
+
+      await client.getPublishedPosts();
+
+      const { filter } = query.mock.calls[0][0];
+      expect(filter.or[0]).toEqual({ property: 'Status', select: { equals: 'Published' } });
+      expect(filter.or[1].and[0]).toEqual({ property: 'Status', select: { equals: 'Scheduled' } });
+      expect(filter.or[1].and[1]).toEqual({ property: 'Publish Date', date: { on_or_before: expect.any(String) } });
+    });
+
+    it('should publish due Scheduled posts for this sync only by default', async () => {
+      createClient();
+
+      const posts = await client.getPublishedPosts();
+
+      expect(posts.map(post => post.id)).toEqual(['due', 'live']);
+      expect(client.extractMetadata(posts[0]).status).toBe('Published');
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should set their status to Published in Notion when enabled', async () => {
+      createClient({ promoteScheduled: true });
+
+      const posts = await client.getPublishedPosts();
+
+      expect(update).toHaveBeenCalledWith({ page_id: 'due', properties: { Status: { select: { name: 'Published' } } } });
+      expect(posts[0].last_edited_time).toBe('2024-03-02T08:00:00.000Z');
+    });
+
+    it('should not change Notion in a dry run', async () => {
+      createClient({ promoteScheduled: true, dryRun: true });
+
+      await client.getPublishedPosts();
+
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should keep Scheduled posts until their time of day', async () => {
+      createClient();
+      const inAnHour = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      query.mockResolvedValue({ results: [page('later-today', 'Scheduled', inAnHour), page('earlier-today', 'Scheduled', anHourAgo)], next_cursor: null });
+
+      const published = await client.getPublishedPosts();
+      const scheduled = await client.getScheduledPosts();
+
+      expect(published.map(post => post.id)).toEqual(['earlier-today']);
+      expect(scheduled.map(post => post.id)).toEqual(['later-today']);
+    });
+
+    it('should pin publish times entered in another time zone', () => {
+      createClient();
+      const zoned = page('zoned', 'Scheduled', '2024-03-05T09:00:00.000');
+      zoned.properties['Publish Date'].date.time_zone = 'America/New_York';
+
+      expect(new Date(client.getPublishDate(zoned)).toISOString()).toBe('2024-03-05T14:00:00.000Z');
+    });
+  });
+
+  describe('property types (real implementation)', () => {
+    const RealNotionClient = jest.requireActual('../scripts/utils/notion-client');
+    let client;
+
+    beforeEach(() => {
+      client = new RealNotionClient({ apiKey: 'test-api-key', databaseId: 'test-database-id' });
+    });
+
+    const ada = { object: 'user', id: 'user-1', name: 'Ada', avatar_url: 'https://example.com/ada.png' };
+
+    it.each([
+      ['status', { type: 'status', status: { name: 'Done' } }, 'Done'],
+      ['people', { type: 'people', people: [ada, { object: 'user', id: 'user-2' }] }, [
+        { id: 'user-1', name: 'Ada', avatarUrl: 'https://example.com/ada.png' },
+        { id: 'user-2', name: null, avatarUrl: null }
+      ]],
+      ['relation', { type: 'relation', relation: [{ id: 'page-1' }, { id: 'page-2' }] }, ['page-1', 'page-2']],
+      ['string formula', { type: 'formula', formula: { type: 'string', string: 'Part 2' } }, 'Part 2'],
+      ['number formula', { type: 'formula', formula: { type: 'number', number: 0 } }, 0],
+      ['date formula', { type: 'formula', formula: { type: 'date', date: { start: '2024-01-01' } } }, '2024-01-01'],
+      ['number rollup', { type: 'rollup', rollup: { type: 'number', number: 3, function: 'count' } }, 3],
+      ['array rollup', { type: 'rollup', rollup: { type: 'array', array: [{ type: 'title', title: [{ plain_text: 'Groups' }] }] } }, ['Groups']],
+      ['created_by', { type: 'created_by', created_by: ada }, { id: 'user-1', name: 'Ada', avatarUrl: 'https://example.com/ada.png' }],
+      ['last_edited_time', { type: 'last_edited_time', last_edited_time: '2024-03-01T10:00:00.000Z' }, '2024-03-01T10:00:00.000Z'],
+      ['unique_id', { type: 'unique_id', unique_id: { prefix: 'POST', number: 12 } }, 'POST-12'],
+      ['unique_id without prefix', { type: 'unique_id', unique_id: { prefix: null, number: 12 } }, 12],
+      ['files', { type: 'files', files: [
+        { name: 'a.pdf', type: 'file', file: { url: 'https://s3.amazonaws.com/a.pdf' } },
+        { name: 'b.png', type: 'external', external: { url: 'https://example.com/b.png' } }
+      ] }, [{ name: 'a.pdf', url: 'https://s3.amazonaws.com/a.pdf' }, { name: 'b.png', url: 'https://example.com/b.png' }]]
+    ])('should extract %s values', (type, property, expected) => {
+      expect(client.getPropertyValue(property)).toEqual(expected);
+    });
+
+    it('should use the first file as the featured image and extract extra mapped fields', () => {
+      client = new RealNotionClient({
+        apiKey: 'test-api-key',
+        databaseId: 'test-database-id',
+        properties: {
+          series: { name: 'Series', type: 'relation' },
+          authors: { name: 'Authors', type: 'people' }
+        }
+      });
+
+      const metadata = client.extractMetadata({
+        id: 'page-1',
+        properties: {
+          Title: { type: 'title', title: [{ plain_text: 'Groups' }] },
+          Status: { type: 'select', select: { name: 'Published' } },
+          'Featured Image': { type: 'files', files: [
+            { name: 'hero.png', type: 'external', external: { url: 'https://example.com/hero.png' } },
+            { name: 'alt.png', type: 'external', external: { url: 'https://example.com/alt.png' } }
+          ] },
+          Series: { type: 'relation', relation: [{ id: 'series-1' }] },
+          Authors: { type: 'people', people: [ada] }
+        }
+      });
+
+      expect(metadata.featuredImage).toBe('https://example.com/hero.png');
+      expect(metadata.series).toEqual(['series-1']);
+      expect(metadata.authors).toEqual([{ id: 'user-1', name: 'Ada', avatarUrl: 'https://example.com/ada.png' }]);
+    });
+  });
+
+  describe('property mapping (real implementation)', () => {
+    const RealNotionClient = jest.requireActual('../scripts/utils/notion-client');
+    let client;
+
+    beforeEach(() => {
+      client = new RealNotionClient({
+        apiKey: 'test-api-key',
+        databaseId: 'test-database-id',
+        properties: {
+          status: { name: 'State', type: 'status' },
+          publishDate: { name: 'Go Live' },
+          category: { name: 'Section', type: 'multi_select' }
+        },
+        statuses: { published: 'Live', draft: 'Writing' }
+      });
+    });
+
+    const page = {
+      id: 'page-1',
+      properties: {
+        Name: { type: 'title', title: [{ plain_text: 'Groups' }] },
+        State: { type: 'status', status: { name: 'Live' } },
+        'Go Live': { type: 'date', date: { start: '2024-01-01' } }
+      }
+    };
+
+    it('should read fields from the mapped properties and report the publishing state', () => {
+      const metadata = client.extractMetadata(page);
+
+      expect(metadata).toMatchObject({ title: 'Groups', status: 'Published', publishDate: '2024-01-01', slug: 'groups' });
+      expect(client.properties.publishDate).toEqual({ name: 'Go Live', type: 'date' });
+    });
+
+    it('should keep unmapped status options as they are', () => {
+      const metadata = client.extractMetadata({ ...page, properties: { ...page.properties, State: { type: 'status', status: { name: 'Idea' } } } });
+
+      expect(metadata.status).toBe('Idea');
+    });
+
+    it('should filter by the mapped property type and option', () => {
+      expect(client.getStatusFilter('published')).toEqual({ property: 'State', status: { equals: 'Live' } });
+      expect(client.getStatusFilter('archived')).toEqual({ property: 'State', status: { equals: 'Archived' } });
+    });
+
+    it('should group pages by the mapped status options', async () => {
+      const groups = await client.groupPostsByStatus([page]);
+
+      expect(groups.published.map(p => p.id)).toEqual(['page-1']);
+    });
+
+    it('should warn about missing or mistyped properties', () => {
+      const problems = client.checkPropertyMapping({
+        Name: { type: 'title' },
+        State: { type: 'select' },
+        Section: { type: 'multi_select' }
+      });
+
+      expect(problems).toEqual([
+        expect.stringContaining('"State" for status is a select property, not status'),
+        expect.stringContaining('"Go Live" for publishDate was not found')
+      ]);
+    });
+  });
+
+  describe('updatePageFields (real implementation)', () => {
+    const RealNotionClient = jest.requireActual('../scripts/utils/notion-client');
+    let client;
+    let update;
+
+    const page = {
+      id: 'page-1',
+      properties: {
+        'Reading Time': { type: 'number', number: 4 },
+        'Word Count': { type: 'number', number: null },
+        'Last Synced': { type: 'date', date: { start: '2024-03-01T10:00:00.000+00:00' } }
+      }
+    };
+
+    beforeEach(() => {
+      client = new RealNotionClient({ apiKey: 'test-api-key', databaseId: 'test-database-id' });
+      client.checkRateLimit = jest.fn().mockResolvedValue();
+      update = jest.fn().mockResolvedValue({ id: 'page-1', last_edited_time: '2024-03-01T10:06:00.000Z' });
+      client.notion = { pages: { update } };
+    });
+
+    it('should write only changed values to properties the page has', async () => {
+      const updated = await client.updatePageFields(page, {
+        readingTime: 4,
+        wordCount: 812,
+        lastSynced: '2024-03-01T10:00:00.000Z',
+        liveUrl: 'https://example.com/math/groups'
+      });
+
+      expect(updated.last_edited_time).toBe('2024-03-01T10:06:00.000Z');
+      expect(update).toHaveBeenCalledWith({ page_id: 'page-1', properties: { 'Word Count': { number: 812 } } });
+    });
+
+    it('should not update the page when nothing changed', async () => {
+      const updated = await client.updatePageFields(page, { readingTime: 4, wordCount: 0 });
+
+      expect(updated).toBeNull();
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should write dates to the minute and match Notion values without seconds', async () => {
+      const synced = { ...page, properties: { 'Last Synced': { type: 'date', date: { start: '2024-03-01T10:05:00.000+00:00' } } } };
+
+      expect(await client.updatePageFields(synced, { lastSynced: '2024-03-01T10:05:42.318Z' })).toBeNull();
+
+      await client.updatePageFields(synced, { lastSynced: '2024-03-01T10:07:42.318Z' });
+      expect(update).toHaveBeenCalledWith({
+        page_id: 'page-1',
+        properties: { 'Last Synced': { date: { start: '2024-03-01T10:07:00.000Z' } } }
+      });
+    });
+
+    it('should retry failed writes', async () => {
+      client.retryConfig.baseDelay = 1;
+      update.mockRejectedValueOnce(Object.assign(new Error('Conflict'), { code: 'conflict_error' }));
+
+      await client.updatePageFields(page, { readingTime: 5 });
+
+      expect(update).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('testConnection', () => {
     it('should return true on successful connection', async () => {
       const result = await notionClient.testConnection();
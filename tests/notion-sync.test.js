@@ -1,14 +1,32 @@
-const fs = require('fs-extra');
-
 // Use manual mocks
 jest.mock('../scripts/utils/notion-client');
 jest.mock('../scripts/utils/content-processor');
 jest.mock('fs-extra');
 
+const crypto = require('crypto');
+const fs = require('fs-extra');
 const NotionSync = require('../scripts/notion-sync');
 const NotionClient = require('../scripts/utils/notion-client');
 const ContentProcessor = require('../scripts/utils/content-processor');
 
+const page = (id, title, status, createdTime = '2024-01-01T00:00:00.000Z') => ({
+  id,
+  created_time: createdTime,
+  properties: {
+    Title: { type: 'title', title: [{ plain_text: title }] },
+    Status: { type: 'select', select: { name: status } }
+  }
+});
+
+// Decrypt as src/static/js/unlock.js does, with the GCM tag at the end of the ciphertext
+const decrypt = ({ ciphertext, iv, salt, iterations }, passphrase) => {
+  const key = crypto.pbkdf2Sync(passphrase, Buffer.from(salt, 'base64'), iterations, 32, 'sha256');
+  const data = Buffer.from(ciphertext, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(data.subarray(-16));
+  return Buffer.concat([decipher.update(data.subarray(0, -16)), decipher.final()]).toString('utf8');
+};
+
 describe('NotionSync', () => {
   let notionSync;
 
@@ -74,6 +92,69 @@ describe('NotionSync', () => {
       const result = notionSync.shouldUpdatePost(existingPost, newMetadata);
       expect(result).toBe(false);
     });
+
+    it('should update a Scheduled post promoted without an edit', () => {
+      const existingPost = { status: 'Scheduled', lastEditedTime: '2024-01-01' };
+      const newMetadata = { status: 'Published', lastEditedTime: '2024-01-01' };
+
+      expect(notionSync.getUpdateReason(existingPost, newMetadata)).toBe('status Scheduled → Published');
+    });
+  });
+
+  describe('featured images', () => {
+    it('should cache featured images before deciding whether to update', async () => {
+      notionSync.dryRun = false;
+      const client = NotionClient.mock.results[0].value;
+      const processor = ContentProcessor.mock.results[0].value;
+      client.extractMetadata.mockResolvedValueOnce({
+        id: 'page-1',
+        title: 'Hero',
+        slug: 'hero',
+        status: 'Published',
+        featuredImage: 'https://prod-files-secure.s3.us-west-2.amazonaws.com/a/hero.png?X-Amz-Expires=3600',
+        lastEditedTime: '2024-01-02T00:00:00.000Z'
+      });
+      processor.processFeaturedImage.mockResolvedValueOnce({
+        featuredImage: '/images/notion/abc.png',
+        featuredImagePicture: '<picture></picture>'
+      });
+
+      const post = await notionSync.processPost({ id: 'page-1' });
+
+      expect(processor.processFeaturedImage).toHaveBeenCalledWith(expect.stringContaining('hero.png'), 'Hero', 'page-1');
+      expect(post.featuredImage).toBe('/images/notion/abc.png');
+      expect(post.featuredImagePicture).toBe('<picture></picture>');
+    });
+
+    it('should reuse the cached featured image in a dry run', async () => {
+      const client = NotionClient.mock.results[0].value;
+      const processor = ContentProcessor.mock.results[0].value;
+      client.extractMetadata.mockResolvedValueOnce({
+        id: 'page-1',
+        title: 'Hero',
+        slug: 'hero',
+        status: 'Published',
+        featuredImage: 'https://prod-files-secure.s3.us-west-2.amazonaws.com/a/hero.png?X-Amz-Expires=3600',
+        lastEditedTime: '2024-01-01T00:00:00.000Z'
+      });
+      const existing = { slug: 'hero', status: 'Published', featuredImage: '/images/notion/abc.png', lastEditedTime: '2024-01-01T00:00:00.000Z' };
+      fs.pathExists.mockResolvedValue(true);
+      fs.readJson.mockResolvedValue(existing);
+
+      const post = await notionSync.processPost({ id: 'page-1' });
+
+      expect(processor.processFeaturedImage).not.toHaveBeenCalled();
+      expect(post).toBe(existing);
+      expect(notionSync.report.getType('page-1')).toBe('unchanged');
+    });
+
+    it('should update posts whose stored featured image differs', () => {
+      const existing = { lastEditedTime: '2024-01-02T00:00:00.000Z', featuredImage: 'https://s3.us-west-2.amazonaws.com/old.png' };
+      const metadata = { lastEditedTime: '2024-01-01T00:00:00.000Z', featuredImage: '/images/notion/abc.png' };
+
+      expect(notionSync.shouldUpdatePost(existing, metadata)).toBe(true);
+      expect(notionSync.shouldUpdatePost({ ...existing, featuredImage: '/images/notion/abc.png' }, metadata)).toBe(false);
+    });
   });
 
   describe('sync', () => {
@@ -97,13 +178,14 @@ describe('NotionSync', () => {
       expect(mockInstance.getPublishedPosts).toHaveBeenCalled();
       expect(mockInstance.getScheduledPosts).toHaveBeenCalled();
       expect(mockInstance.getDraftPosts).toHaveBeenCalled();
+      expect(mockInstance.getArchivedPosts).toHaveBeenCalled();
     });
 
     it('should return sync statistics', async () => {
       const mockInstance = NotionClient.mock.results[0].value;
-      mockInstance.getPublishedPosts.mockResolvedValue([{ id: '1' }]);
-      mockInstance.getScheduledPosts.mockResolvedValue([{ id: '2' }]);
-      mockInstance.getDraftPosts.mockResolvedValue([{ id: '3' }]);
+      mockInstance.getPublishedPosts.mockResolvedValue([page('1', 'One', 'Published')]);
+      mockInstance.getScheduledPosts.mockResolvedValue([page('2', 'Two', 'Scheduled')]);
+      mockInstance.getDraftPosts.mockResolvedValue([page('3', 'Three', 'Draft')]);
       
       const result = await notionSync.sync();
       
@@ -112,9 +194,576 @@ describe('NotionSync', () => {
         published: 1,
         scheduled: 1,
         drafts: 1,
+        archived: 0,
+        newlyPublished: 1,
+        changes: expect.objectContaining({ added: 3 }),
         performance: expect.any(Object)
       });
     });
+
+    it('should write the change report', async () => {
+      notionSync.dryRun = false;
+      notionSync.cleanupOldContent = jest.fn();
+      const mockInstance = NotionClient.mock.results[0].value;
+      mockInstance.getPublishedPosts.mockResolvedValue([page('1', 'One', 'Published')]);
+
+      await notionSync.sync();
+
+      const [, report] = fs.writeJson.mock.calls.find(([file]) => file.endsWith('sync-report.json'));
+      expect(report.toJSON()).toMatchObject({
+        summary: expect.objectContaining({ added: 1 }),
+        added: [expect.objectContaining({ id: '1', title: 'One', reason: 'new post' })]
+      });
+    });
+
+    it('should only count unused images in a dry run', async () => {
+      const processor = ContentProcessor.mock.results[0].value;
+
+      await notionSync.sync();
+
+      expect(processor.findUnusedImages).toHaveBeenCalled();
+      expect(processor.cleanupUnusedImages).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('incremental sync', () => {
+    const edited = (pageObject, lastEditedTime) => ({ ...pageObject, last_edited_time: lastEditedTime });
+    const state = {
+      databaseId: 'test-database-id',
+      lastEditedTime: '2024-03-01T10:00:00.000Z',
+      syncedAt: '2024-03-01T10:05:00.000Z',
+      pages: {
+        'kept-id': edited(page('kept-id', 'Kept', 'Published'), '2024-02-01T00:00:00.000Z'),
+        'edited-id': edited(page('edited-id', 'Edited', 'Draft'), '2024-02-01T00:00:00.000Z'),
+        'deleted-id': edited(page('deleted-id', 'Deleted', 'Published'), '2024-02-01T00:00:00.000Z')
+      }
+    };
+
+    beforeEach(() => {
+      notionSync.notionClient.databaseId = 'test-database-id';
+    });
+
+    it('should query every status on the first sync and record the high-water mark', async () => {
+      const client = notionSync.notionClient;
+      client.getPublishedPosts.mockResolvedValue([edited(page('1', 'One', 'Published'), '2024-03-02T00:00:00.000Z')]);
+      client.getDraftPosts.mockResolvedValue([edited(page('2', 'Two', 'Draft'), '2024-03-05T00:00:00.000Z')]);
+
+      const { publishedPosts, syncState } = await notionSync.fetchPosts();
+
+      expect(client.getPostsChangedSince).not.toHaveBeenCalled();
+      expect(publishedPosts.map(p => p.id)).toEqual(['1']);
+      expect(syncState.lastEditedTime).toBe('2024-03-05T00:00:00.000Z');
+      expect(Object.keys(syncState.pages)).toEqual(['1', '2']);
+    });
+
+    it('should only query changed pages and merge them with the stored ones', async () => {
+      const client = notionSync.notionClient;
+      fs.pathExists.mockResolvedValue(true);
+      fs.readJson.mockResolvedValue(state);
+      client.getPostsChangedSince.mockResolvedValue([edited(page('edited-id', 'Edited', 'Published'), '2024-03-02T00:00:00.000Z')]);
+      client.getPageIds.mockResolvedValue(['kept-id', 'edited-id']);
+
+      const { publishedPosts, draftPosts, syncState } = await notionSync.fetchPosts();
+
+      expect(client.getPostsChangedSince).toHaveBeenCalledWith('2024-03-01T10:00:00.000Z', '2024-03-01T10:05:00.000Z');
+      expect(client.getPublishedPosts).not.toHaveBeenCalled();
+      expect(publishedPosts.map(p => p.id)).toEqual(['kept-id', 'edited-id']);
+      expect(draftPosts).toEqual([]);
+      expect(syncState.lastEditedTime).toBe('2024-03-02T00:00:00.000Z');
+      expect(Object.keys(syncState.pages)).toEqual(['kept-id', 'edited-id']);
+    });
+
+    it('should keep the high-water mark when nothing changed', async () => {
+      fs.pathExists.mockResolvedValue(true);
+      fs.readJson.mockResolvedValue(state);
+      notionSync.notionClient.getPageIds.mockResolvedValue(Object.keys(state.pages));
+
+      const { syncState } = await notionSync.fetchPosts();
+
+      expect(syncState.lastEditedTime).toBe(state.lastEditedTime);
+    });
+
+    it('should run a full sync when forced or when the state belongs to another database', async () => {
+      const client = notionSync.notionClient;
+      fs.pathExists.mockResolvedValue(true);
+      fs.readJson.mockResolvedValue({ ...state, databaseId: 'other-database' });
+
+      await notionSync.fetchPosts();
+      notionSync.force = true;
+      fs.readJson.mockResolvedValue(state);
+      await notionSync.fetchPosts();
+
+      expect(client.getPostsChangedSince).not.toHaveBeenCalled();
+      expect(client.getPublishedPosts).toHaveBeenCalledTimes(2);
+    });
+
+    it('should save the sync state after a successful sync', async () => {
+      notionSync.dryRun = false;
+      notionSync.cleanupOldContent = jest.fn();
+      notionSync.notionClient.getPublishedPosts.mockResolvedValue([edited(page('1', 'One', 'Published'), '2024-03-02T00:00:00.000Z')]);
+
+      await notionSync.sync();
+
+      const [, saved] = fs.writeJson.mock.calls.find(([file]) => file.endsWith('sync-state.json'));
+      expect(saved).toMatchObject({ databaseId: 'test-database-id', lastEditedTime: '2024-03-02T00:00:00.000Z' });
+    });
+  });
+
+  describe('change report', () => {
+    const metadata = { id: 'page-1', title: 'Groups', slug: 'groups', status: 'Published', lastEditedTime: '2024-01-02T00:00:00.000Z' };
+
+    it('should report new, edited and unchanged posts', async () => {
+      await notionSync.processPost({ id: 'page-1' }, metadata);
+      expect(notionSync.report.changes.added).toEqual([expect.objectContaining({ id: 'page-1', reason: 'new post' })]);
+
+      fs.pathExists.mockResolvedValue(true);
+      fs.readJson.mockResolvedValue({ ...metadata, lastEditedTime: '2024-01-01T00:00:00.000Z' });
+      await notionSync.processPost({ id: 'page-1' }, metadata);
+      expect(notionSync.report.changes.updated).toEqual([expect.objectContaining({ id: 'page-1', reason: 'edited in Notion' })]);
+
+      fs.readJson.mockResolvedValue(metadata);
+      await notionSync.processPost({ id: 'page-1' }, metadata);
+      expect(notionSync.report.getType('page-1')).toBe('unchanged');
+    });
+
+    it('should report failed posts with the error', async () => {
+      const client = NotionClient.mock.results[0].value;
+      client.getPageBlocks.mockRejectedValueOnce(new Error('Request timed out'));
+
+      await notionSync.processPost({ id: 'page-1' }, metadata);
+
+      expect(notionSync.report.changes.failed).toEqual([expect.objectContaining({ id: 'page-1', title: 'Groups', reason: 'Request timed out' })]);
+    });
+
+    it('should report deleted posts as removed and posts with a new slug as renamed', async () => {
+      notionSync.dryRun = false;
+      fs.readdir = jest.fn().mockResolvedValue(['old-groups.json', 'deleted.json', 'groups.json']);
+      fs.remove = jest.fn().mockResolvedValue();
+      fs.readJson.mockImplementation(async (file) => file.endsWith('old-groups.json')
+        ? { id: 'page-1', title: 'Groups', slug: 'old-groups' }
+        : { id: 'page-9', title: 'Deleted', slug: 'deleted' });
+
+      await notionSync.cleanupOldContent([metadata]);
+
+      expect(notionSync.report.changes.removed).toEqual([expect.objectContaining({ id: 'page-9', title: 'Deleted', reason: 'no longer in Notion' })]);
+      expect(notionSync.report.changes.renamed).toEqual([expect.objectContaining({ id: 'page-1', from: 'old-groups', to: 'groups' })]);
+    });
+
+    it('should report skipped duplicate slugs as failed', async () => {
+      const warn = jest.spyOn(require('../scripts/utils/logger'), 'warn').mockImplementation(() => {});
+
+      await notionSync.resolveSlugCollisions([page('a-id', 'Groups', 'Published'), page('b-id', 'Groups', 'Draft')]);
+
+      expect(notionSync.report.changes.failed).toEqual([
+        expect.objectContaining({ id: 'b-id', reason: 'duplicate slug "groups", kept by "Groups" (a-id)' })
+      ]);
+      warn.mockRestore();
+    });
+  });
+
+  describe('resolveSlugCollisions', () => {
+    it('should keep one page per slug, preferring published then older pages', async () => {
+      const warn = jest.spyOn(require('../scripts/utils/logger'), 'warn').mockImplementation(() => {});
+      const pages = [
+        page('draft-id', 'Groups', 'Draft', '2023-01-01T00:00:00.000Z'),
+        page('newer-id', 'Groups', 'Published', '2024-06-01T00:00:00.000Z'),
+        page('older-id', 'Groups!', 'Published', '2024-01-01T00:00:00.000Z'),
+        page('rings-id', 'Rings', 'Published')
+      ];
+
+      const { posts, metadataById, collisions } = await notionSync.resolveSlugCollisions(pages);
+
+      expect(posts.map(p => p.id)).toEqual(['older-id', 'rings-id']);
+      expect(metadataById.get('rings-id').slug).toBe('rings');
+      expect(collisions).toEqual([
+        expect.objectContaining({ slug: 'groups', kept: expect.objectContaining({ id: 'older-id' }), skipped: expect.objectContaining({ id: 'newer-id' }) }),
+        expect.objectContaining({ slug: 'groups', kept: expect.objectContaining({ id: 'older-id' }), skipped: expect.objectContaining({ id: 'draft-id' }) })
+      ]);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Duplicate slug "groups": keeping "Groups!" (older-id), skipping "Groups" (newer-id)'));
+      warn.mockRestore();
+    });
+
+    it('should fail a strict sync on duplicate slugs', async () => {
+      const warn = jest.spyOn(require('../scripts/utils/logger'), 'warn').mockImplementation(() => {});
+      notionSync.strict = true;
+
+      await expect(notionSync.resolveSlugCollisions([page('a-id', 'Groups', 'Published'), page('b-id', 'Groups', 'Draft')]))
+        .rejects.toThrow('Duplicate slugs found in strict mode: "groups" (a-id, b-id)');
+      warn.mockRestore();
+    });
+  });
+
+  describe('archived posts', () => {
+    it('should save archived posts without fetching their content', async () => {
+      const client = NotionClient.mock.results[0].value;
+      const processor = ContentProcessor.mock.results[0].value;
+      client.extractMetadata.mockResolvedValueOnce({
+        id: 'page-1',
+        title: 'Old Notes',
+        slug: 'old-notes',
+        status: 'Archived',
+        category: 'Math',
+        replacedBy: 'page-2',
+        featuredImage: 'https://s3.us-west-2.amazonaws.com/a/hero.png'
+      });
+
+      const post = await notionSync.processPost({ id: 'page-1' });
+
+      expect(client.getPageBlocks).not.toHaveBeenCalled();
+      expect(processor.processPage).not.toHaveBeenCalled();
+      expect(post).toMatchObject({ status: 'Archived', replacedBy: 'page-2', content: '', featuredImage: null });
+    });
+
+    it('should index archived posts with their replacement', async () => {
+      notionSync.dryRun = false;
+
+      await notionSync.generateArchivedIndex([
+        { id: 'page-1', title: 'Old Notes', slug: 'old-notes', category: 'Math', replacedBy: 'page-2', lastEditedTime: '2024-01-01T00:00:00.000Z', content: '' }
+      ]);
+
+      const [file, index] = fs.writeJson.mock.calls[0];
+      expect(file).toMatch(/archived-index\.json$/);
+      expect(index.posts).toEqual([
+        { id: 'page-1', title: 'Old Notes', slug: 'old-notes', category: 'Math', replacedBy: 'page-2', archivedAt: '2024-01-01T00:00:00.000Z' }
+      ]);
+    });
+  });
+
+  describe('unlisted posts', () => {
+    it('should index unlisted posts but leave them out of categories and tags', async () => {
+      notionSync.dryRun = false;
+      fs.ensureDir = jest.fn().mockResolvedValue();
+
+      await notionSync.generateIndexes([
+        { id: 'page-1', title: 'Groups', slug: 'groups', status: 'Published', category: 'Math', tags: ['algebra'], visibility: 'Public' },
+        { id: 'page-2', title: 'Preview', slug: 'preview', status: 'Published', category: 'Math', tags: ['algebra'], visibility: 'Unlisted' }
+      ]);
+
+      const written = file => fs.writeJson.mock.calls.find(([path]) => path.endsWith(file))[1];
+      expect(written('posts-index.json').posts.map(post => [post.id, post.visibility])).toEqual([['page-1', 'Public'], ['page-2', 'Unlisted']]);
+      expect(written('math.json').posts.map(post => post.id)).toEqual(['page-1']);
+      expect(written('tags-index.json').tags[0]).toMatchObject({ name: 'algebra', count: 1 });
+    });
+  });
+
+  describe('password-protected posts', () => {
+    it('should flag password-protected posts without their excerpt', async () => {
+      notionSync.dryRun = false;
+      fs.ensureDir = jest.fn().mockResolvedValue();
+
+      await notionSync.generateIndexes([
+        { id: 'page-1', title: 'Secret', slug: 'secret', status: 'Published', category: 'Math', tags: [], protected: true, excerpt: 'From the body.' }
+      ]);
+
+      const written = file => fs.writeJson.mock.calls.find(([path]) => path.endsWith(file))[1];
+      expect(written('posts-index.json').posts[0]).toMatchObject({ protected: true, excerpt: null });
+      expect(written('math.json').posts[0].excerpt).toBeNull();
+    });
+
+    it('should store only the ciphertext, with a stable salt and IV', async () => {
+      notionSync.dryRun = false;
+      fs.ensureDir = jest.fn().mockResolvedValue();
+      notionSync.contentProcessor.processPage.mockResolvedValue({ content: '<p>Only for friends.</p>', excerpt: 'Only for friends.', tableOfContents: [{ text: 'Intro' }] });
+      const metadata = { id: 'page-1', title: 'Secret', slug: 'secret', status: 'Published', password: 'hunter2', lastEditedTime: '2024-01-01T00:00:00.000Z' };
+
+      const stored = () => fs.writeJson.mock.calls[fs.writeJson.mock.calls.length - 1][1];
+
+      await notionSync.savePost(await notionSync.processPost({ id: 'page-1' }, { ...metadata }));
+      const first = stored();
+      fs.pathExists.mockResolvedValue(true);
+      fs.readJson.mockResolvedValue(first);
+      notionSync.force = true;
+      await notionSync.savePost(await notionSync.processPost({ id: 'page-1' }, { ...metadata }));
+
+      const saved = JSON.stringify([fs.writeJson.mock.calls, fs.writeFile.mock.calls]);
+      expect(fs.writeJson).toHaveBeenCalledTimes(2);
+      expect(saved).not.toContain('hunter2');
+      expect(saved).not.toContain('Only for friends');
+      expect(first).toMatchObject({ protected: true, content: '', excerpt: null, tableOfContents: [] });
+      expect(stored().locked).toEqual(first.locked);
+    });
+
+    it('should resolve links to other posts before encrypting', async () => {
+      notionSync.dryRun = false;
+      notionSync.cleanupOldContent = jest.fn();
+      const client = notionSync.notionClient;
+      const processor = notionSync.contentProcessor;
+      const extractMetadata = client.extractMetadata.getMockImplementation();
+      client.getPublishedPosts.mockResolvedValue([page('secret-id', 'Secret', 'Published'), page('groups-id', 'Groups', 'Published')]);
+      client.extractMetadata.mockImplementation(notionPage => ({ ...extractMetadata(notionPage), category: 'Math', password: notionPage.id === 'secret-id' ? 'hunter2' : null }));
+      processor.processPage.mockImplementation(async notionPage => ({
+        content: notionPage.id === 'secret-id' ? '<p>See <a data-notion-page-id="groups-id">Groups</a></p>' : '<p>Groups</p>'
+      }));
+      processor.rewritePageLinks.mockImplementation((html, pagePaths) => ({
+        html: html.replace(/<a data-notion-page-id="([^"]+)"/g, (match, pageId) => `<a href="${pagePaths.get(pageId)}" data-notion-page-id="${pageId}"`),
+        unresolvedPageIds: []
+      }));
+
+      await notionSync.sync();
+
+      const [, stored] = fs.writeJson.mock.calls.find(([file]) => file.endsWith('secret.json'));
+      expect(decrypt(stored.locked, 'hunter2')).toContain('<a href="/math/groups"');
+      expect(notionSync.getUpdateReason(stored, { ...stored })).toBe('protected post links to other posts');
+    });
+
+    it('should store sync state without passwords, and fetch the page again to re-render', async () => {
+      const page = { id: 'page-1', last_edited_time: '2024-03-01T00:00:00.000Z', properties: { Status: { type: 'select', select: { name: 'Published' } }, Password: { type: 'rich_text', rich_text: [{ plain_text: 'hunter2' }] } } };
+      notionSync.notionClient.getPublishedPosts.mockResolvedValue([page]);
+
+      const { syncState } = await notionSync.fetchPosts();
+      expect(syncState.pages['page-1'].properties).not.toHaveProperty('Password');
+
+      fs.pathExists.mockResolvedValue(true);
+      fs.readJson.mockResolvedValue({ id: 'page-1', slug: 'secret', status: 'Scheduled', protected: true, locked: {} });
+      notionSync.notionClient.extractMetadata.mockReturnValue({ password: 'hunter2' });
+
+      const post = await notionSync.processPost(syncState.pages['page-1'], { id: 'page-1', title: 'Secret', slug: 'secret', status: 'Published', password: null });
+
+      expect(notionSync.notionClient.getPage).toHaveBeenCalledWith('page-1');
+      expect(post).toMatchObject({ protected: true, password: 'hunter2' });
+    });
+  });
+
+  describe('writeBackToNotion', () => {
+    const config = require('../config/site.config');
+    const metadata = { id: 'page-1', title: 'Groups', slug: 'groups', category: 'Math', status: 'Published', lastEditedTime: '2024-01-02T00:00:00.000Z' };
+
+    beforeEach(() => {
+      notionSync = new NotionSync({ writeBack: true });
+    });
+
+    it('should write computed values and keep the new edit time with the post', async () => {
+      const client = notionSync.notionClient;
+      client.updatePageFields.mockResolvedValueOnce({ id: 'page-1', last_edited_time: '2024-01-02T00:05:00.000Z' });
+
+      const post = await notionSync.processPost({ id: 'page-1' }, { ...metadata });
+
+      expect(client.updatePageFields).toHaveBeenCalledWith({ id: 'page-1' }, {
+        readingTime: 1,
+        wordCount: 2,
+        lastSynced: post.lastSynced,
+        liveUrl: `${config.site.url}/math/groups`
+      });
+      expect(fs.writeJson).toHaveBeenCalledWith(expect.stringContaining('groups.json'), expect.objectContaining({ lastEditedTime: '2024-01-02T00:05:00.000Z' }), { spaces: 2 });
+    });
+
+    it('should fill in unchanged posts without re-rendering them', async () => {
+      const client = notionSync.notionClient;
+      client.updatePageFields.mockResolvedValueOnce({ id: 'page-1', last_edited_time: '2024-01-02T00:05:00.000Z' });
+      fs.pathExists.mockResolvedValue(true);
+      fs.readJson.mockResolvedValue({ ...metadata, readingTime: 3, wordCount: 600, lastSynced: '2024-01-02T00:01:00.000Z', syncVersion: 4 });
+      jest.spyOn(notionSync, 'getUpdateReason').mockReturnValue(null);
+
+      const post = await notionSync.processPost({ id: 'page-1' }, { ...metadata });
+
+      expect(client.getPageBlocks).not.toHaveBeenCalled();
+      expect(client.updatePageFields).toHaveBeenCalledWith({ id: 'page-1' }, expect.objectContaining({ readingTime: 3, lastSynced: '2024-01-02T00:01:00.000Z' }));
+      expect(post.lastEditedTime).toBe('2024-01-02T00:05:00.000Z');
+      expect(fs.writeJson).toHaveBeenCalled();
+    });
+
+    it('should not fail the post when Notion rejects the write', async () => {
+      const warn = jest.spyOn(require('../scripts/utils/logger'), 'warn').mockImplementation(() => {});
+      const client = notionSync.notionClient;
+      client.updatePageFields.mockRejectedValueOnce(new Error('Validation failed'));
+
+      const post = await notionSync.processPost({ id: 'page-1' }, { ...metadata });
+
+      expect(post.lastEditedTime).toBe(metadata.lastEditedTime);
+      expect(notionSync.report.getType('page-1')).toBe('added');
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Validation failed'));
+      warn.mockRestore();
+    });
+
+    it('should be off by default and in dry runs', async () => {
+      for (const sync of [new NotionSync(), new NotionSync({ writeBack: true, dryRun: true })]) {
+        expect(await sync.writeBackToNotion({ id: 'page-1' }, metadata)).toBe(false);
+        expect(sync.notionClient.updatePageFields).not.toHaveBeenCalled();
+      }
+    });
+  });
+
+  describe('syncAtNextPublish', () => {
+    const minutesFromNow = minutes => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+    beforeEach(() => {
+      notionSync.wait = jest.fn().mockResolvedValue();
+      notionSync.sync = jest.fn().mockResolvedValue({ totalPosts: 1 });
+      notionSync.buildSite = jest.fn().mockResolvedValue();
+      notionSync.dryRun = false;
+    });
+
+    it('should wait for the next publish time, then sync and build', async () => {
+      fs.pathExists.mockImplementation(async (file) => file.endsWith('next-publish.json'));
+      fs.readJson.mockResolvedValue({ nextPublishAt: minutesFromNow(30), post: { id: 'page-1', title: 'Groups' } });
+
+      const stats = await notionSync.syncAtNextPublish({ maxWait: 60 });
+
+      expect(notionSync.wait.mock.calls[0][0]).toBeGreaterThan(29 * 60 * 1000);
+      expect(notionSync.sync).toHaveBeenCalled();
+      expect(notionSync.buildSite).toHaveBeenCalled();
+      expect(stats).toEqual({ totalPosts: 1 });
+    });
+
+    it('should leave posts beyond the cap to a later run', async () => {
+      fs.pathExists.mockImplementation(async (file) => file.endsWith('next-publish.json'));
+      fs.readJson.mockResolvedValue({ nextPublishAt: minutesFromNow(90), post: { id: 'page-1', title: 'Groups' } });
+
+      expect(await notionSync.syncAtNextPublish({ maxWait: 60 })).toBeNull();
+      expect(notionSync.wait).not.toHaveBeenCalled();
+      expect(notionSync.sync).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the scheduled index before the first build', async () => {
+      fs.pathExists.mockImplementation(async (file) => file.endsWith('scheduled-index.json'));
+      fs.readJson.mockResolvedValue({ posts: [{ id: 'page-2', title: 'Rings', publishDate: minutesFromNow(10) }] });
+
+      const next = await notionSync.readNextPublish();
+
+      expect(next.post.id).toBe('page-2');
+    });
+
+    it('should do nothing when no post is scheduled', async () => {
+      expect(await notionSync.syncAtNextPublish()).toBeNull();
+      expect(notionSync.sync).not.toHaveBeenCalled();
+    });
+
+    it('should reject a cap that is not a number of minutes', async () => {
+      await expect(notionSync.syncAtNextPublish({ maxWait: NaN })).rejects.toThrow('maxWait must be a number of minutes');
+      await expect(notionSync.syncAtNextPublish({ maxWait: -5 })).rejects.toThrow('maxWait must be a number of minutes');
+      expect(notionSync.sync).not.toHaveBeenCalled();
+    });
+
+    it('should count the posts that went live, for the workflow to deploy', async () => {
+      const metadata = { id: 'page-1', title: 'Groups', slug: 'groups', status: 'Published', lastEditedTime: '2024-01-01T00:00:00.000Z' };
+      fs.pathExists.mockResolvedValue(true);
+      fs.readJson.mockResolvedValueOnce({ ...metadata, status: 'Scheduled' }).mockResolvedValueOnce(metadata);
+
+      await notionSync.processPost({ id: 'page-1' }, { ...metadata });
+      notionSync.force = true;
+      await notionSync.processPost({ id: 'page-1' }, { ...metadata });
+
+      expect(notionSync.newlyPublished).toBe(1);
+    });
+  });
+
+  describe('resolveRelations', () => {
+    const config = require('../config/site.config');
+    let properties;
+
+    beforeEach(() => {
+      properties = config.notion.properties;
+      config.notion.properties = { ...properties, seeAlso: { name: 'See Also', type: 'relation' } };
+    });
+
+    afterEach(() => {
+      config.notion.properties = properties;
+    });
+
+    it('should resolve related pages to ids and titles, fetching pages outside the sync once', async () => {
+      const client = NotionClient.mock.results[0].value;
+      client.getPage.mockResolvedValue({ id: 'other-id', properties: { Name: { type: 'title', title: [{ plain_text: 'Reading List' }] } } });
+      notionSync.pageTitles.set('post-id', 'Groups');
+
+      const first = { seeAlso: ['post-id', 'other-id'], replacedBy: 'post-id' };
+      const second = { seeAlso: ['other-id'] };
+      await notionSync.resolveRelations(first);
+      await notionSync.resolveRelations(second);
+
+      expect(first.seeAlso).toEqual([{ id: 'post-id', title: 'Groups' }, { id: 'other-id', title: 'Reading List' }]);
+      expect(first.replacedBy).toBe('post-id');
+      expect(second.seeAlso).toEqual([{ id: 'other-id', title: 'Reading List' }]);
+      expect(client.getPage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave the title empty when a related page cannot be read', async () => {
+      const client = NotionClient.mock.results[0].value;
+      client.getPage.mockRejectedValue(Object.assign(new Error('Not found'), { code: 'object_not_found' }));
+
+      const metadata = { seeAlso: ['private-id'] };
+      await notionSync.resolveRelations(metadata);
+
+      expect(metadata.seeAlso).toEqual([{ id: 'private-id', title: null }]);
+    });
+  });
+
+  describe('resolvePageLinks', () => {
+    it('should map published posts to site paths and warn about unpublished targets', async () => {
+      const logger = require('../scripts/utils/logger');
+      const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      const processor = ContentProcessor.mock.results[0].value;
+      processor.rewritePageLinks.mockReturnValue({ html: '<a href="/math/groups">Groups</a>', unresolvedPageIds: ['draft-id'] });
+
+      const linking = { id: 'a-id', title: 'Rings', status: 'Published', category: 'Math', slug: 'rings', content: '<a data-notion-page-id="groups-id">Groups</a>' };
+      const posts = [
+        linking,
+        { id: 'groups-id', title: 'Groups', status: 'Published', category: 'Math', slug: 'groups', content: '<p>Groups</p>' },
+        { id: 'draft-id', title: 'Fields', status: 'Draft', category: 'Math', slug: 'fields', content: '' }
+      ];
+
+      await notionSync.resolvePageLinks(posts);
+
+      const pagePaths = processor.rewritePageLinks.mock.calls[0][1];
+      expect(processor.rewritePageLinks).toHaveBeenCalledTimes(1);
+      expect(pagePaths.get('groups-id')).toBe('/math/groups');
+      expect(pagePaths.has('draft-id')).toBe(false);
+      expect(linking.content).toBe('<a href="/math/groups">Groups</a>');
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('unpublished post "Fields"'));
+      warn.mockRestore();
+    });
+  });
+
+  describe('updateRedirects', () => {
+    const redirectsFile = () => fs.writeJson.mock.calls[0][1];
+
+    beforeEach(() => {
+      notionSync.dryRun = false;
+      fs.pathExists.mockResolvedValue(true);
+    });
+
+    it('should redirect the old path when a post\'s slug or category changes', async () => {
+      fs.readJson.mockResolvedValue({ pages: { 'page-1': '/math/groups', 'page-2': '/math/rings' }, redirects: {} });
+
+      await notionSync.updateRedirects([
+        { id: 'page-1', title: 'Groups', status: 'Published', category: 'Math', slug: 'group-theory' },
+        { id: 'page-2', title: 'Rings', status: 'Published', category: 'Algebra', slug: 'rings' }
+      ], ['page-1', 'page-2']);
+
+      expect(redirectsFile().pages).toEqual({ 'page-1': '/math/group-theory', 'page-2': '/algebra/rings' });
+      expect(redirectsFile().redirects).toEqual({ '/math/groups': 'page-1', '/math/rings': 'page-2' });
+      expect(notionSync.report.changes.renamed).toEqual([
+        expect.objectContaining({ id: 'page-1', from: '/math/groups', to: '/math/group-theory' }),
+        expect.objectContaining({ id: 'page-2', from: '/math/rings', to: '/algebra/rings' })
+      ]);
+    });
+
+    it('should keep earlier redirects pointing at the page after another rename', async () => {
+      fs.readJson.mockResolvedValue({ pages: { 'page-1': '/math/group-theory' }, redirects: { '/math/groups': 'page-1' } });
+
+      await notionSync.updateRedirects([{ id: 'page-1', status: 'Published', category: 'Math', slug: 'groups-101' }]);
+
+      expect(redirectsFile().redirects).toEqual({ '/math/groups': 'page-1', '/math/group-theory': 'page-1' });
+    });
+
+    it('should drop redirects whose path is used by a post again or whose page was deleted', async () => {
+      fs.readJson.mockResolvedValue({
+        pages: { 'page-1': '/math/group-theory', 'page-2': '/math/fields' },
+        redirects: { '/math/groups': 'page-1', '/math/old-fields': 'page-2' }
+      });
+
+      await notionSync.updateRedirects([{ id: 'page-1', status: 'Published', category: 'Math', slug: 'groups' }], ['page-1']);
+
+      expect(redirectsFile().pages).toEqual({ 'page-1': '/math/groups' });
+      expect(redirectsFile().redirects).toEqual({ '/math/group-theory': 'page-1' });
+    });
+
+    it('should not record paths for unpublished posts', async () => {
+      fs.pathExists.mockResolvedValue(false);
+
+      await notionSync.updateRedirects([{ id: 'draft', status: 'Draft', category: 'Math', slug: 'wip' }]);
+
+      expect(redirectsFile().pages).toEqual({});
+    });
   });
 
   describe('savePost in dry run mode', () => {
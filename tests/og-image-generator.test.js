@@ -142,6 +142,17 @@ describe('OGImageGenerator', () => {
     });
   });
 
+  describe('generateTagImage', () => {
+    it('should generate OG image for tag', async () => {
+      const result = await generator.generateTagImage({ name: 'JavaScript', slug: 'javascript', count: 3 });
+
+      expect(result).toBe('/og-images/tag-javascript.png');
+      expect(mockSharp.toFile).toHaveBeenCalledWith(
+        expect.stringContaining('tag-javascript.png')
+      );
+    });
+  });
+
   describe('generateDefaultImage', () => {
     it('should generate default OG image', async () => {
       const result = await generator.generateDefaultImage();
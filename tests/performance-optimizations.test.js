@@ -83,6 +83,8 @@ describe('Performance Optimizations', () => {
         getPublishedPosts: jest.fn().mockResolvedValue(mockPosts),
         getScheduledPosts: jest.fn().mockResolvedValue([]),
         getDraftPosts: jest.fn().mockResolvedValue([]),
+        getArchivedPosts: jest.fn().mockResolvedValue([]),
+        withoutProperty: jest.fn(page => page),
         extractMetadata: jest.fn().mockImplementation((post) => Promise.resolve({
           title: `Post ${post.id.split('-')[1]}`,
           slug: `post-${post.id.split('-')[1]}`,
@@ -95,7 +97,9 @@ describe('Performance Optimizations', () => {
       // Mock content processor
       sync.contentProcessor = {
         processPage: jest.fn().mockResolvedValue({ content: 'processed content' }),
-        cleanupUnusedImages: jest.fn().mockResolvedValue()
+        processFeaturedImage: jest.fn().mockResolvedValue({}),
+        cleanupUnusedImages: jest.fn().mockResolvedValue(),
+        findUnusedImages: jest.fn().mockResolvedValue([])
       };
 
       const startTime = Date.now();
@@ -128,6 +132,8 @@ describe('Performance Optimizations', () => {
         getPublishedPosts: jest.fn().mockResolvedValue(mockPosts),
         getScheduledPosts: jest.fn().mockResolvedValue([]),
         getDraftPosts: jest.fn().mockResolvedValue([]),
+        getArchivedPosts: jest.fn().mockResolvedValue([]),
+        withoutProperty: jest.fn(page => page),
         extractMetadata: jest.fn().mockImplementation((post) => {
           // Simulate failure for post-2
           if (post.id === 'post-2') {
@@ -145,7 +151,9 @@ describe('Performance Optimizations', () => {
 
       sync.contentProcessor = {
         processPage: jest.fn().mockResolvedValue({ content: 'processed content' }),
-        cleanupUnusedImages: jest.fn().mockResolvedValue()
+        processFeaturedImage: jest.fn().mockResolvedValue({}),
+        cleanupUnusedImages: jest.fn().mockResolvedValue(),
+        findUnusedImages: jest.fn().mockResolvedValue([])
       };
 
       const result = await sync.sync();
@@ -372,6 +380,8 @@ describe('Performance Optimizations', () => {
         getPublishedPosts: jest.fn().mockResolvedValue(largeBatch),
         getScheduledPosts: jest.fn().mockResolvedValue([]),
         getDraftPosts: jest.fn().mockResolvedValue([]),
+        getArchivedPosts: jest.fn().mockResolvedValue([]),
+        withoutProperty: jest.fn(page => page),
         extractMetadata: jest.fn().mockResolvedValue({
           title: 'Test Post',
           slug: 'test-post',
@@ -383,7 +393,9 @@ describe('Performance Optimizations', () => {
 
       sync.contentProcessor = {
         processPage: jest.fn().mockResolvedValue({ content: 'content' }),
-        cleanupUnusedImages: jest.fn().mockResolvedValue()
+        processFeaturedImage: jest.fn().mockResolvedValue({}),
+        cleanupUnusedImages: jest.fn().mockResolvedValue(),
+        findUnusedImages: jest.fn().mockResolvedValue([])
       };
 
       const initialMemory = process.memoryUsage().heapUsed;
@@ -413,6 +425,8 @@ describe('Performance Optimizations', () => {
         getPublishedPosts: jest.fn().mockResolvedValue(mockPosts),
         getScheduledPosts: jest.fn().mockResolvedValue([]),
         getDraftPosts: jest.fn().mockResolvedValue([]),
+        getArchivedPosts: jest.fn().mockResolvedValue([]),
+        withoutProperty: jest.fn(page => page),
         extractMetadata: jest.fn().mockImplementation((post) => {
           if (post.id === 'post-2') {
             throw new Error('Simulated extraction failure');
@@ -429,7 +443,9 @@ describe('Performance Optimizations', () => {
 
       sync.contentProcessor = {
         processPage: jest.fn().mockResolvedValue({ content: 'content' }),
-        cleanupUnusedImages: jest.fn().mockResolvedValue()
+        processFeaturedImage: jest.fn().mockResolvedValue({}),
+        cleanupUnusedImages: jest.fn().mockResolvedValue(),
+        findUnusedImages: jest.fn().mockResolvedValue([])
       };
 
       const result = await sync.sync();
@@ -474,6 +490,8 @@ describe('Performance Optimizations', () => {
         getPublishedPosts: jest.fn().mockResolvedValue(posts),
         getScheduledPosts: jest.fn().mockResolvedValue([]),
         getDraftPosts: jest.fn().mockResolvedValue([]),
+        getArchivedPosts: jest.fn().mockResolvedValue([]),
+        withoutProperty: jest.fn(page => page),
         extractMetadata: jest.fn().mockResolvedValue({
           title: 'Test Post',
           slug: 'test-post',
@@ -485,7 +503,9 @@ describe('Performance Optimizations', () => {
 
       sync.contentProcessor = {
         processPage: jest.fn().mockResolvedValue({ content: 'content' }),
-        cleanupUnusedImages: jest.fn().mockResolvedValue()
+        processFeaturedImage: jest.fn().mockResolvedValue({}),
+        cleanupUnusedImages: jest.fn().mockResolvedValue(),
+        findUnusedImages: jest.fn().mockResolvedValue([])
       };
 
       const startTime = Date.now();
@@ -0,0 +1,51 @@
+const { webcrypto } = require('crypto');
+const { encryptContent } = require('../scripts/utils/post-encryption');
+
+// Decrypt as src/static/js/unlock.js does in the browser
+async function decrypt({ ciphertext, iv, salt, iterations }, passphrase) {
+  const material = await webcrypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  const key = await webcrypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: Buffer.from(salt, 'base64'), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['decrypt']
+  );
+  const plaintext = await webcrypto.subtle.decrypt({ name: 'AES-GCM', iv: Buffer.from(iv, 'base64') }, key, Buffer.from(ciphertext, 'base64'));
+  return new TextDecoder().decode(plaintext);
+}
+
+describe('encryptContent', () => {
+  const html = '<p>Only for friends — ünïcode included.</p>';
+
+  it('should produce ciphertext WebCrypto decrypts with the passphrase', async () => {
+    const encrypted = encryptContent(html, 'hunter2', { iterations: 1000 });
+
+    expect(Buffer.from(encrypted.ciphertext, 'base64').toString('utf8')).not.toContain('Only for friends');
+    await expect(decrypt(encrypted, 'hunter2')).resolves.toBe(html);
+  });
+
+  it('should not decrypt with another passphrase', async () => {
+    const encrypted = encryptContent(html, 'hunter2', { iterations: 1000 });
+
+    await expect(decrypt(encrypted, 'hunter3')).rejects.toThrow();
+  });
+
+  it('should use a fresh salt unless one is reused', () => {
+    const first = encryptContent(html, 'hunter2', { iterations: 1000 });
+    const second = encryptContent(html, 'hunter2', { iterations: 1000 });
+
+    expect(first.salt).not.toBe(second.salt);
+    expect(first.ciphertext).not.toBe(second.ciphertext);
+  });
+
+  it('should give the same output for the same salt and body, and a new IV for a new body', async () => {
+    const first = encryptContent(html, 'hunter2', { iterations: 1000 });
+    const again = encryptContent(html, 'hunter2', { iterations: 1000, salt: first.salt });
+    const edited = encryptContent('<p>Edited.</p>', 'hunter2', { iterations: 1000, salt: first.salt });
+
+    expect(again).toEqual(first);
+    expect(edited.iv).not.toBe(first.iv);
+    await expect(decrypt(edited, 'hunter2')).resolves.toBe('<p>Edited.</p>');
+  });
+});
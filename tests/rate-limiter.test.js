@@ -0,0 +1,60 @@
+const { TokenBucket } = require('../scripts/utils/rate-limiter');
+
+describe('TokenBucket', () => {
+  let time;
+  let bucket;
+
+  beforeEach(() => {
+    time = 0;
+    bucket = new TokenBucket({
+      requestsPerSecond: 3,
+      burst: 3,
+      now: () => time,
+      sleep: async (ms) => { time += ms; }
+    });
+  });
+
+  it('should allow a burst without waiting', async () => {
+    await Promise.all([bucket.acquire(), bucket.acquire(), bucket.acquire()]);
+
+    expect(time).toBe(0);
+    expect(bucket.getMetrics()).toMatchObject({ requests: 3, throttled: 0 });
+  });
+
+  it('should then allow requests at the refill rate', async () => {
+    await Promise.all(Array.from({ length: 6 }, () => bucket.acquire()));
+
+    // Three more tokens take a second to refill
+    expect(time).toBeGreaterThanOrEqual(1000);
+    expect(time).toBeLessThan(1010);
+    expect(bucket.getMetrics()).toMatchObject({ requests: 6, throttled: 3 });
+  });
+
+  it('should refill over idle time up to the burst size', async () => {
+    await Promise.all([bucket.acquire(), bucket.acquire(), bucket.acquire()]);
+    time += 60000;
+
+    await Promise.all([bucket.acquire(), bucket.acquire(), bucket.acquire()]);
+    expect(time).toBe(60000);
+
+    await bucket.acquire();
+    expect(time).toBeGreaterThan(60000);
+  });
+
+  it('should hold every request while paused', async () => {
+    bucket.pause(5000);
+
+    await bucket.acquire();
+
+    expect(time).toBeGreaterThanOrEqual(5000);
+    expect(bucket.getMetrics()).toMatchObject({ rateLimited: 1, throttled: 1 });
+  });
+
+  it('should reset its metrics', async () => {
+    await bucket.acquire();
+    bucket.recordRetry();
+    bucket.resetMetrics();
+
+    expect(bucket.getMetrics()).toEqual({ requests: 0, throttled: 0, waitTime: 0, rateLimited: 0, retries: 0 });
+  });
+});
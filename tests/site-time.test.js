@@ -0,0 +1,84 @@
+jest.mock('../config/site.config', () => ({
+  site: { timezone: 'Asia/Kolkata' }
+}));
+
+const {
+  parseSiteDate,
+  isDue,
+  getNextPublish,
+  getSiteToday,
+  addDays,
+  formatSiteDate,
+  toSiteISOString
+} = require('../scripts/utils/site-time');
+
+describe('site time', () => {
+  describe('parseSiteDate', () => {
+    it('should read dates and times without an offset in the site time zone', () => {
+      expect(parseSiteDate('2024-03-05').toISOString()).toBe('2024-03-04T18:30:00.000Z');
+      expect(parseSiteDate('2024-03-05T09:00').toISOString()).toBe('2024-03-05T03:30:00.000Z');
+    });
+
+    it('should keep times that have an offset', () => {
+      expect(parseSiteDate('2024-03-05T09:00:00.000Z').toISOString()).toBe('2024-03-05T09:00:00.000Z');
+      expect(parseSiteDate('2024-03-05T09:00:00.000-05:00').toISOString()).toBe('2024-03-05T14:00:00.000Z');
+    });
+
+    it('should follow daylight saving time in other zones', () => {
+      expect(parseSiteDate('2024-01-15T12:00', 'America/New_York').toISOString()).toBe('2024-01-15T17:00:00.000Z');
+      expect(parseSiteDate('2024-07-15T12:00', 'America/New_York').toISOString()).toBe('2024-07-15T16:00:00.000Z');
+    });
+
+    it('should return null for empty values', () => {
+      expect(parseSiteDate(null)).toBeNull();
+      expect(parseSiteDate('')).toBeNull();
+    });
+  });
+
+  describe('isDue', () => {
+    it('should publish a date once it starts in the site time zone', () => {
+      expect(isDue('2024-03-05', new Date('2024-03-04T18:29:00.000Z'))).toBe(false);
+      expect(isDue('2024-03-05', new Date('2024-03-04T18:30:00.000Z'))).toBe(true);
+    });
+
+    it('should publish at the scheduled time of day', () => {
+      expect(isDue('2024-03-05T09:00', new Date('2024-03-05T03:29:00.000Z'))).toBe(false);
+      expect(isDue('2024-03-05T09:00', new Date('2024-03-05T03:30:00.000Z'))).toBe(true);
+    });
+
+    it('should not publish posts without a date', () => {
+      expect(isDue(null)).toBe(false);
+    });
+  });
+
+  it('should find the next upcoming publish', () => {
+    const now = new Date('2024-03-05T00:00:00.000Z');
+    const posts = [
+      { id: 'past', publishDate: '2024-03-04' },
+      { id: 'later', publishDate: '2024-03-07' },
+      { id: 'sooner', publishDate: '2024-03-05T09:00' },
+      { id: 'undated', publishDate: null }
+    ];
+
+    expect(getNextPublish(posts, now)).toEqual({ post: posts[2], publishAt: new Date('2024-03-05T03:30:00.000Z') });
+    expect(getNextPublish([posts[0]], now)).toBeNull();
+  });
+
+  it('should give today in the site time zone', () => {
+    expect(getSiteToday(new Date('2024-03-04T19:00:00.000Z'))).toBe('2024-03-05');
+  });
+
+  it('should move dates across month ends', () => {
+    expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+    expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+  });
+
+  it('should format dates as the site clock shows them', () => {
+    expect(formatSiteDate('2024-03-04T20:00:00.000Z', 'MMMM d, yyyy h:mm a')).toBe('March 5, 2024 1:30 AM');
+    expect(formatSiteDate('2024-03-05', 'MMMM d, yyyy')).toBe('March 5, 2024');
+  });
+
+  it('should write date-times with the site offset', () => {
+    expect(toSiteISOString('2024-03-04T20:00:00.000Z')).toBe('2024-03-05T01:30:00+05:30');
+  });
+});
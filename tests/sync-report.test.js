@@ -0,0 +1,57 @@
+const SyncReport = require('../scripts/utils/sync-report');
+
+describe('SyncReport', () => {
+  let report;
+
+  const post = (id, title) => ({ id, title, slug: title.toLowerCase(), status: 'Published', content: '<p>Body</p>' });
+
+  beforeEach(() => {
+    report = new SyncReport();
+  });
+
+  it('should list posts by change type with their reasons', () => {
+    report.record('added', post('page-1', 'Groups'), 'new post');
+    report.record('unchanged', post('page-2', 'Rings'));
+    report.finish();
+
+    const json = report.toJSON();
+    expect(json.summary).toEqual({ added: 1, updated: 0, renamed: 0, removed: 0, failed: 0, unchanged: 1 });
+    expect(json.added).toEqual([{ id: 'page-1', title: 'Groups', slug: 'groups', status: 'Published', reason: 'new post' }]);
+    expect(json.finishedAt).toEqual(expect.any(String));
+  });
+
+  it('should keep each post under its latest change type', () => {
+    report.record('added', post('page-1', 'Groups'), 'new post');
+    report.record('renamed', post('page-1', 'Groups'), 'moved from /math/group to /math/groups', { from: '/math/group', to: '/math/groups' });
+
+    expect(report.getType('page-1')).toBe('renamed');
+    expect(report.toJSON().added).toEqual([]);
+    expect(report.toJSON().renamed[0]).toMatchObject({ from: '/math/group', to: '/math/groups' });
+  });
+
+  it('should reject unknown change types', () => {
+    expect(() => report.record('published', post('page-1', 'Groups'))).toThrow('Unknown sync change type: published');
+  });
+
+  it('should render changes as Markdown and only count unchanged posts', () => {
+    report.record('updated', post('page-1', 'Groups'), 'edited in Notion');
+    report.record('failed', { id: 'page-3', title: 'Fields' }, 'Request timed out');
+    report.record('unchanged', post('page-2', 'Rings'));
+
+    const markdown = report.toMarkdown();
+
+    expect(markdown).toContain('1 updated · 0 renamed · 0 removed · 1 failed · 1 unchanged');
+    expect(markdown).toContain('- **Groups** (`page-1`) — edited in Notion');
+    expect(markdown).toContain('- **Fields** (`page-3`) — Request timed out');
+    expect(markdown).not.toContain('Rings');
+  });
+
+  it('should say when nothing changed and when the sync failed', () => {
+    report.record('unchanged', post('page-2', 'Rings'));
+    report.finish(new Error('Failed to connect to Notion API'));
+
+    expect(report.hasChanges()).toBe(false);
+    expect(report.toMarkdown()).toContain('**Sync failed:** Failed to connect to Notion API');
+    expect(report.toMarkdown()).toContain('No changes.');
+  });
+});